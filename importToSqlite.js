@@ -0,0 +1,60 @@
+// One-shot import of the JSON data files in DATA_DIR into the SQLite database
+// (SQLITE_FILE, default <DATA_DIR>/rugby.db). Run once, then start the server
+// with DATA_BACKEND=sqlite. Refuses to import over existing rows unless --force.
+//
+//   DATA_DIR=/var/data node importToSqlite.js [--force]
+import { DATA_DIR } from "./utils/dataStore.js";
+import {
+  COLLECTIONS,
+  DOCUMENTS,
+  keyOf,
+  jsonRepositories,
+  createRepositories,
+  sqliteFile,
+} from "./utils/repositories.js";
+
+async function importToSqlite() {
+  const force = process.argv.includes("--force");
+  const source = jsonRepositories();
+  const target = await createRepositories("sqlite");
+
+  console.log(`📥 Importing ${DATA_DIR} → ${sqliteFile()}`);
+
+  if (!force) {
+    for (const name of Object.keys(COLLECTIONS)) {
+      if ((await target[name].all()).length) {
+        console.error(`❌ ${name} already has rows in ${sqliteFile()} — rerun with --force to replace them.`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+  }
+
+  for (const [name, spec] of Object.entries(COLLECTIONS)) {
+    const records = await source[name].all().catch(() => null);
+    if (!records) {
+      console.log(`⚠️ ${spec.file} not found — skipping ${name}`);
+      continue;
+    }
+    await target[name].saveAll(records);
+
+    // records sharing a key collapse into one row (the last one wins)
+    const unique = new Set(records.map((r) => keyOf(spec, r))).size;
+    const note = unique < records.length ? ` (${records.length - unique} duplicate(s) merged)` : "";
+    console.log(`✅ ${name}: ${unique} row(s)${note}`);
+  }
+
+  for (const name of Object.keys(DOCUMENTS)) {
+    const value = await source[name].get();
+    if (value === null) continue;
+    await target[name].save(value);
+    console.log(`✅ ${name} imported`);
+  }
+
+  console.log("🏁 Import complete. Start the server with DATA_BACKEND=sqlite.");
+}
+
+importToSqlite().catch((err) => {
+  console.error("❌ Import failed:", err);
+  process.exitCode = 1;
+});
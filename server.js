@@ -10,9 +10,84 @@ import jwt from "jsonwebtoken";
 import axios from "axios";
 import ical from "node-ical";
 import { fileURLToPath } from "url";
-import calculatePoints from "./utils/scoring.js";
+import { DATA_DIR, readJSON, updateJSON, recoverDataFiles } from "./utils/dataStore.js";
+import { repos } from "./utils/repositories.js";
+import {
+  applyScore,
+  resultFromScores,
+  resolveScoringRules,
+  validateScoringRules,
+  matchWinnerName,
+  DRAW,
+} from "./utils/scoring.js";
 import { refreshCompetitions } from "./utils/competitionUpdater.js"; // adjust path if needed
 import { importMatchesFromICS } from "./utils/competitionUtils.js";
+import { getLockReason, validateLockSettings, roundKeyFor } from "./utils/predictionLocks.js";
+import { buildConsensus } from "./utils/consensus.js";
+import { assignRounds } from "./utils/rounds.js";
+import { buildLeaderboard } from "./utils/leaderboard.js";
+import { withMovement, userHistory } from "./utils/leaderboardHistory.js";
+import { onResultsChanged, rebuildStandings, resultChanged } from "./utils/resultPipeline.js";
+import { generateInviteCode, normalizeInviteCode, isMember, leagueView } from "./utils/leagues.js";
+import { buildSchedule, scoreSchedule, buildH2HStandings } from "./utils/headToHead.js";
+import { validateSurvivorPick, survivorStatus } from "./utils/survivor.js";
+import { validateSeason, seasonLeaderboard, buildSeasonArchive, anonymiseArchiveRows } from "./utils/seasons.js";
+import { MemoryStore, rateLimiter, createLockout, parseLimit } from "./utils/rateLimit.js";
+import {
+  createLoginCode,
+  redeemCode,
+  redeemLinkToken,
+  retryAfterSeconds,
+  pruneLoginCodes,
+  CODE_TTL_MINUTES,
+} from "./utils/magicLinks.js";
+import { sendMail, assertMailConfig } from "./utils/mailer.js";
+import {
+  validateProfileUpdate,
+  profileView,
+  buildDataExport,
+  anonymisedUser,
+  removeFromLeagues,
+} from "./utils/profile.js";
+import { firebaseLoginEnabled, verifyFirebaseIdToken } from "./utils/firebaseAuth.js";
+import {
+  ROLES,
+  roleOfUser,
+  roleRank,
+  hasRole,
+  canManageCompetition,
+  validateRoleAssignment,
+  canAssignRole,
+  applyRole,
+} from "./utils/roles.js";
+import {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  pruneSessions,
+} from "./utils/sessions.js";
+import {
+  safeUser,
+  normalizeEmail,
+  findUserByEmail,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createResetToken,
+  findUserByResetToken,
+} from "./utils/passwords.js";
+import {
+  API_KEY_SCOPES,
+  apiKeyFromRequest,
+  validateApiKeyInput,
+  createApiKey,
+  findApiKey,
+  touchApiKey,
+  apiKeyView,
+} from "./utils/apiKeys.js";
 
 
 // __dirname shim for ES modules
@@ -24,9 +99,7 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 10000;
 const JWT_SECRET = process.env.JWT_SECRET || "default_secret_key";
-
-// Prefer persistent Render disk at /var/data, fallback to local ./data
-const DATA_DIR = process.env.DATA_DIR || "/var/data";
+assertMailConfig();
 
 // Ensure the directory exists (important if running locally)
 import fsSync from "fs";
@@ -36,6 +109,9 @@ if (!fsSync.existsSync(DATA_DIR)) {
 
 console.log(`💾 Using data directory: ${DATA_DIR}`);
 
+// Put back the last good copy of any data file a crash left unreadable
+await recoverDataFiles();
+
 // cron job for results update
 import cron from "node-cron";
 import { updateResultsFromSources } from "./utils/resultsUpdater.js";
@@ -45,7 +121,8 @@ cron.schedule("0 7 * * *", async () => {
   try {
     await updateResultsFromSources(undefined, undefined, undefined, undefined, {
       daysBack: 2,
-      daysForward: 0
+      daysForward: 0,
+      trigger: "results-cron",
     });
     console.log("✅ Daily update completed.");
   } catch (err) {
@@ -64,7 +141,19 @@ cron.schedule("0 5 * * 1", async () => {
 
 
 // ==================== MIDDLEWARE ====================
-app.use(express.json());
+// Request bodies are small; anything bigger is refused with 413.
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "100kb" }));
+
+// Behind a proxy req.ip has to come from X-Forwarded-For, otherwise every client
+// shares the proxy's address — and its rate limits. TRUST_PROXY is the number of
+// proxy hops (or any Express "trust proxy" value); on Render (RENDER is set) it
+// defaults to 1. TRUST_PROXY=0 turns it off.
+const trustProxy = process.env.TRUST_PROXY ?? (process.env.RENDER ? "1" : "");
+if (trustProxy) {
+  app.set("trust proxy", Number.isFinite(Number(trustProxy)) ? Number(trustProxy) : trustProxy);
+} else if (process.env.NODE_ENV === "production") {
+  console.warn("⚠️ TRUST_PROXY is not set — behind a proxy, rate limits will be shared by every client");
+}
 
 // ✅ Robust CORS configuration
 const allowedOrigins = [
@@ -83,7 +172,7 @@ app.use(
       }
     },
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
     credentials: true,
   })
 );
@@ -92,22 +181,95 @@ app.use(
 app.options("*", (req, res) => {
   res.header("Access-Control-Allow-Origin", req.headers.origin || "*");
   res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
   res.header("Access-Control-Allow-Credentials", "true");
   return res.sendStatus(204);
 });
 
-// ==================== HELPER FUNCTIONS ====================
-async function readJSON(file) {
-  const filePath = path.join(DATA_DIR, file);
-  const data = await fs.readFile(filePath, "utf8");
-  return JSON.parse(data || "[]");
+// ---- Rate limiting (utils/rateLimit.js) ----
+// Swap MemoryStore for a shared store to limit across several instances.
+const rateLimitStore = new MemoryStore();
+
+// Logged-in requests count against the user, API-key requests against the key,
+// everything else against the IP. Credentials are verified (not just decoded) so
+// nobody can spend another user's quota.
+async function rateLimitKey(req) {
+  const apiKey = apiKeyFromRequest(req);
+  if (apiKey) {
+    const keys = await readJSON("api-keys.json").catch(() => []);
+    const record = findApiKey(keys, apiKey);
+    if (record) return `key:${record.id}`;
+  }
+  const token = (req.headers["authorization"] || "").split(" ")[1];
+  if (token) {
+    try {
+      return `user:${jwt.verify(token, JWT_SECRET).id}`;
+    } catch {
+      // fall through to IP
+    }
+  }
+  return `ip:${req.ip}`;
 }
 
-async function writeJSON(file, data) {
-  const filePath = path.join(DATA_DIR, file);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2), "utf8");
+const AUTH_PATHS = [
+  "/api/users/login",
+  "/api/users/login/verify",
+  "/api/users/login/firebase",
+  "/api/users/register",
+  "/api/users/reset-password",
+];
+
+// First matching group applies. Override with RATE_LIMIT_<NAME>="max/windowSeconds".
+const rateLimitGroups = [
+  {
+    name: "auth",
+    match: (req) => req.method === "POST" && AUTH_PATHS.includes(req.path),
+    key: (req) => `ip:${req.ip}`,
+    ...parseLimit(process.env.RATE_LIMIT_AUTH, { max: 30, windowMs: 15 * 60 * 1000 }),
+  },
+  {
+    name: "predictions",
+    match: (req) => req.method === "POST" && req.path === "/api/predictions",
+    key: rateLimitKey,
+    ...parseLimit(process.env.RATE_LIMIT_PREDICTIONS, { max: 60, windowMs: 60 * 1000 }),
+  },
+  {
+    name: "write",
+    match: (req) => ["POST", "PUT", "DELETE"].includes(req.method),
+    key: rateLimitKey,
+    ...parseLimit(process.env.RATE_LIMIT_WRITE, { max: 120, windowMs: 60 * 1000 }),
+  },
+  {
+    name: "read",
+    match: (req) => req.method === "GET",
+    key: rateLimitKey,
+    ...parseLimit(process.env.RATE_LIMIT_READ, { max: 600, windowMs: 60 * 1000 }),
+  },
+];
+
+app.use(rateLimiter(rateLimitGroups, rateLimitStore));
+
+// Lock an email out of password login after repeated wrong passwords. Login codes
+// have their own attempt limit (MAX_CODE_ATTEMPTS in utils/magicLinks.js).
+const loginLockout = createLockout({
+  store: rateLimitStore,
+  maxFailures: Number(process.env.LOGIN_MAX_FAILURES || 5),
+  windowMs: 15 * 60 * 1000,
+  lockMs: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000,
+});
+
+async function rejectIfLockedOut(email, res) {
+  const wait = await loginLockout.lockedFor(normalizeEmail(email));
+  if (!wait) return false;
+  res.set("Retry-After", String(wait));
+  res.status(429).json({ error: "Too many failed login attempts — try again later" });
+  return true;
 }
+
+// Most predictions a single POST may carry
+const MAX_PREDICTIONS_PER_REQUEST = 100;
+
+// ==================== HELPER FUNCTIONS ====================
 // --- ICS helpers (place near other helpers) ---
 function normalizeUrl(url) {
   return url.startsWith("webcal://") ? url.replace("webcal://", "https://") : url;
@@ -167,29 +329,30 @@ function parseIcsToMatches(icsText, comp) {
 }
 
 async function upsertMatchesForCompetition(comp, newMatches) {
-  let matches = await readJSON("matches.json");
-
-  // De-dup by same comp + same kickoff + same two teams (order-insensitive)
-  const seen = new Set(
-    matches.map(m => `${m.competitionId}|${m.kickoff}|${[m.teamA, m.teamB].sort().join("|")}`)
-  );
+  let added = 0;
+  await repos.matches.update((matches) => {
+    // De-dup by same comp + same kickoff + same two teams (order-insensitive)
+    const seen = new Set(
+      matches.map(m => `${m.competitionId}|${m.kickoff}|${[m.teamA, m.teamB].sort().join("|")}`)
+    );
 
-  for (const m of newMatches) {
-    const key = `${m.competitionId}|${m.kickoff}|${[m.teamA, m.teamB].sort().join("|")}`;
-    if (!seen.has(key)) {
-      // assign id
-      m.id = matches.length ? Math.max(...matches.map(x => x.id)) + 1 : 1;
-      matches.push(m);
-      seen.add(key);
+    for (const m of newMatches) {
+      const key = `${m.competitionId}|${m.kickoff}|${[m.teamA, m.teamB].sort().join("|")}`;
+      if (!seen.has(key)) {
+        // assign id
+        m.id = matches.length ? Math.max(...matches.map(x => x.id)) + 1 : 1;
+        matches.push(m);
+        seen.add(key);
+        added++;
+      }
     }
-  }
-
-  await writeJSON("matches.json", matches);
+    return added ? matches : undefined;
+  });
   return added;
 }
 
 async function refreshCompetitionById(id) {
-  const competitions = await readJSON("competitions.json");
+  const competitions = await repos.competitions.all();
   const comp = competitions.find((c) => c.id === Number(id));
   if (!comp) throw new Error("Competition not found");
 
@@ -215,46 +378,83 @@ async function refreshCompetitionById(id) {
     throw new Error(`Empty or invalid ICS response for competition "${comp.name}"`);
   }
 
-// ✅ 4. Parse + clean matches using your util
+// ✅ 4. Parse + clean matches using your util (saves them, with their rounds)
 const { finalMatches, added, updated } = await importMatchesFromICS(icsText, comp);
 
-// ✅ 5. Replace matches for this competition
-await writeJSON("matches.json", finalMatches);
-
 // Log for debug visibility
 console.log(`✅ Saved ${finalMatches.length} matches for ${comp.name}`);
 console.log(`ℹ️ ${added} added, ${updated} updated`);
 
-// ✅ 6. Bump lastRefreshed timestamp
-const updatedComps = competitions.map((c) =>
-  c.id === comp.id ? { ...c, lastRefreshed: new Date().toISOString() } : c
+// ✅ 5. Bump lastRefreshed timestamp
+await repos.competitions.update((current) =>
+  current.map((c) => (c.id === comp.id ? { ...c, lastRefreshed: new Date().toISOString() } : c))
 );
-await writeJSON("competitions.json", updatedComps);
 
-// ✅ 7. Return a summary
+// ✅ 6. Return a summary
 return { added, updated, total: finalMatches.length };
 }
 
-// ----- SUPERADMIN GUARD -----
-// ---- Admin guards ----
+// ---- Role guards (see utils/roles.js) ----
+// Route access at a glance:
+//   public         GET leaderboards, competitions, matches, rounds, seasons, health
+//   player         anything behind authenticateToken alone (predictions, leagues, survivor, own account)
+//   competition-   requireCompetitionAdmin(...): competition settings/archive/refresh,
+//     admin        its matches (add/edit/results/delete) and rounds
+//   admin          requireAdmin: users, creating/deleting/hiding competitions, seasons,
+//                  scraper runs, recalc, audit/relink
+//   superadmin     requireSuperAdmin: purges, debug
+//   API keys       only routes that name a scope (allowApiKey / authenticateTokenOrApiKey);
+//                  the scope check stands in for the role guards on those routes
+// SUPERADMIN_EMAIL only seeds the role of that account if it has none stored.
 const SUPERADMIN_EMAIL = process.env.SUPERADMIN_EMAIL || "eoinvoconnor@gmail.com";
 
-function requireAdmin(req, res, next) {
-  if (!req.user || !req.user.isAdmin) {
-    return res.status(403).json({ error: "Admin only" });
-  }
-  next();
+function requireRole(minRole, message) {
+  return (req, res, next) => {
+    if (req.apiKey) return next(); // scope already checked
+    if (!hasRole(req.user, minRole)) {
+      return res.status(403).json({ error: message });
+    }
+    next();
+  };
 }
 
-function requireSuperAdmin(req, res, next) {
-  if (!req.user || req.user.email !== SUPERADMIN_EMAIL) {
-    return res.status(403).json({ error: "SuperAdmin only" });
-  }
-  next();
+const requireAdmin = requireRole("admin", "Admin only");
+const requireSuperAdmin = requireRole("superadmin", "SuperAdmin only");
+
+// Competition-scoped guard. `resolve(req)` returns the competition id the
+// request touches (or null if the thing doesn't exist — the route then 404s).
+function requireCompetitionAdmin(resolve) {
+  return async (req, res, next) => {
+    try {
+      if (req.apiKey || hasRole(req.user, "admin")) return next();
+      const competitionId = await resolve(req);
+      if (competitionId == null) return next();
+      if (!canManageCompetition(req.user, competitionId)) {
+        return res.status(403).json({ error: "Not an admin of this competition" });
+      }
+      next();
+    } catch (err) {
+      console.error("❌ Competition permission check failed:", err);
+      res.status(500).json({ error: "Failed to check permissions" });
+    }
+  };
 }
 
+const competitionFromParam = (req) => Number(req.params.id);
+const competitionFromBody = (req) => Number(req.body.competitionId) || null;
+const competitionOfMatch = async (req) => {
+  const matches = await repos.matches.all();
+  return matches.find((m) => m.id === Number(req.params.id))?.competitionId ?? null;
+};
+const competitionOfRound = async (req) => {
+  const rounds = await readJSON("rounds.json").catch(() => []);
+  return rounds.find((r) => r.id === Number(req.params.id))?.competitionId ?? null;
+};
+
 // ==================== AUTH MIDDLEWARE ====================
-function authenticateToken(req, res, next) {
+// Access tokens carry the session id (`sid`); a token is only good while its
+// session in sessions.json is active, so revoking the session kills it at once.
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   if (!authHeader) {
     console.error("❌ No Authorization header");
@@ -266,15 +466,84 @@ function authenticateToken(req, res, next) {
     console.error("❌ Token missing after Bearer");
     return res.status(401).json({ error: "Token missing" });
   }
+  if (apiKeyFromRequest(req) === token) {
+    return res.status(403).json({ error: "API keys can't be used for this endpoint" });
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Token expired", code: "TOKEN_EXPIRED" });
+    }
+    console.error("❌ JWT verification failed:", err.message);
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("❌ JWT verification failed:", err.message);
-      return res.status(403).json({ error: "Invalid or expired token" });
+  try {
+    const sessions = await readJSON("sessions.json").catch(() => []);
+    const session = user.sid && sessions.find((s) => s.id === user.sid);
+    if (!isSessionActive(session) || session.userId !== user.id) {
+      return res.status(401).json({ error: "Session expired or revoked", code: "SESSION_REVOKED" });
     }
-    req.user = user;
-    next();
-  });
+  } catch (err) {
+    console.error("❌ Session check failed:", err);
+    return res.status(500).json({ error: "Failed to check session" });
+  }
+
+  req.user = user;
+  next();
+}
+
+// ---- API keys (utils/apiKeys.js) ----
+// Bots send `X-API-Key: rpk_…` (or `Authorization: Bearer rpk_…`). A key only
+// works on routes that name a scope, and only if the key has that scope.
+// Responds and returns false if the key is bad; otherwise sets req.apiKey.
+async function verifyApiKey(req, res, scope) {
+  try {
+    const keys = await readJSON("api-keys.json").catch(() => []);
+    const record = findApiKey(keys, apiKeyFromRequest(req));
+    if (!record) {
+      res.status(401).json({ error: "Invalid or revoked API key", code: "INVALID_API_KEY" });
+      return false;
+    }
+    if (!record.scopes.includes(scope)) {
+      res.status(403).json({ error: `API key is missing the ${scope} scope` });
+      return false;
+    }
+    if (touchApiKey(record)) {
+      await updateJSON("api-keys.json", (stored) => {
+        const current = stored.find((k) => k.id === record.id);
+        if (!current) return undefined;
+        current.lastUsedAt = record.lastUsedAt;
+        return stored;
+      });
+    }
+    req.apiKey = { id: record.id, name: record.name, scopes: record.scopes };
+    return true;
+  } catch (err) {
+    console.error("❌ API key check failed:", err);
+    res.status(500).json({ error: "Failed to check API key" });
+    return false;
+  }
+}
+
+// Public route that also takes a key: anyone may call it, but a key that is
+// sent must be valid (so bots get their own rate limit and last-used time).
+function allowApiKey(scope) {
+  return async (req, res, next) => {
+    if (!apiKeyFromRequest(req)) return next();
+    if (await verifyApiKey(req, res, scope)) next();
+  };
+}
+
+// Logged-in route that a key with `scope` may call instead of a user.
+function authenticateTokenOrApiKey(scope) {
+  return async (req, res, next) => {
+    if (!apiKeyFromRequest(req)) return authenticateToken(req, res, next);
+    if (await verifyApiKey(req, res, scope)) next();
+  };
 }
 
 // ==================== HEALTH CHECK ====================
@@ -283,9 +552,9 @@ app.get("/api/health", (req, res) => {
 });
 
 
-// Run the results scraper on demand (Admin only)
+// Run the results scraper on demand (Admin, or an API key with write:results)
 // Optional query: ?daysBack=7&daysForward=0
-app.post("/api/admin/update-results", authenticateToken, requireAdmin, async (req, res) => {
+app.post("/api/admin/update-results", authenticateTokenOrApiKey("write:results"), requireAdmin, async (req, res) => {
   try {
     // Dynamically load the CJS helper and resolve the function regardless of export style
     const m = await import("./utils/resultsUpdater.js");
@@ -306,7 +575,7 @@ app.post("/api/admin/update-results", authenticateToken, requireAdmin, async (re
     // Call in standalone mode: the updater reads/writes /var/data itself
     const updated = await updateResultsFromSources(
       undefined, undefined, undefined, undefined,
-      { daysBack, daysForward }
+      { daysBack, daysForward, trigger: "results-manual" }
     );
 
     res.json({ success: true, updated, daysBack, daysForward });
@@ -317,11 +586,15 @@ app.post("/api/admin/update-results", authenticateToken, requireAdmin, async (re
 });
 
 // ==================== LEADERBOARD RECALC ====================
+// Full rescore of everything. Day to day, results changes are rescored
+// automatically per match (utils/resultPipeline.js); this is the admin's reset button.
 // POST /api/admin/recalc-leaderboard
 // Admin only
-// - reads matches.json + predictions.json
-// - (re)scores each prediction based on current match results
-// - writes predictions.json back to disk
+// - reads matches + predictions + competitions
+// - (re)scores each prediction based on current match results,
+//   using the scoring rules of the match's competition
+// - saves the predictions back
+// - saves the overall standings + a history snapshot
 // - returns how many predictions were updated
 app.post(
   "/api/admin/recalc-leaderboard",
@@ -330,47 +603,42 @@ app.post(
   async (req, res) => {
     try {
       // load latest data
-      const [matches, predictions] = await Promise.all([
-        readJSON("matches.json"),
-        readJSON("predictions.json"),
+      const [matches, competitions] = await Promise.all([
+        repos.matches.all(),
+        repos.competitions.all(),
       ]);
 
-      // quick index: matchId -> match
+      // quick index: matchId -> match, competitionId -> scoring rules
       const matchById = new Map(matches.map((m) => [m.id, m]));
+      const rulesByCompId = new Map(competitions.map((c) => [c.id, resolveScoringRules(c)]));
 
       let touched = 0;
 
-      // update each prediction's .points based on match.result
-      for (const p of predictions) {
-        const match = matchById.get(p.matchId);
-        if (!match || !match.result || !match.result.winner) {
-          // no final result yet, zero points / leave as-is?
-          continue;
+      // update each prediction's .points based on match.result, and save the
+      // ones that changed
+      await repos.predictions.update((predictions) => {
+        const changed = [];
+        for (const p of predictions) {
+          const match = matchById.get(p.matchId);
+          if (!match || !match.result || !match.result.winner) {
+            // no final result yet, zero points / leave as-is?
+            continue;
+          }
+
+          const rules = rulesByCompId.get(match.competitionId) || resolveScoringRules(null);
+          if (applyScore(p, match, rules)) changed.push(p);
         }
+        touched = changed.length;
+        return changed.length ? predictions : undefined;
+      });
 
-        const actualWinner = match.result.winner;
-        const actualMargin = match.result.margin;
-
-        const newPoints = calculatePoints({
-          predictedWinner: p.predictedWinner,
-          predictedMargin: p.margin,
-          actualWinner,
-          actualMargin,
-        });
-
-        if (p.points !== newPoints) {
-          p.points = newPoints;
-          touched++;
-        }
-      }
-
-      // save back to disk
-      await writeJSON("predictions.json", predictions);
+      const leaderboard = await rebuildStandings("recalc");
 
       // reply so the button can alert()
       res.json({
         success: true,
         updated: touched,
+        leaderboardSize: leaderboard.length,
         message: `Recalculated leaderboard. Updated ${touched} predictions.`,
       });
     } catch (err) {
@@ -386,321 +654,896 @@ app.post(
 // ==================== LEADERBOARD (PUBLIC) ====================
 //
 // GET /api/leaderboard
-// Returns overall standings based on predictions.json
+// Returns standings built live from the predictions
 // No auth needed for viewing.
 //
-// Shape returned:
-// [
-//   {
-//     userId: 2,
-//     firstname: "Dave",
-//     surname: "Parker",
-//     email: "dave@example.com",
-//     totalPoints: 17,
-//     correctPicks: 5,
-//     predictionsMade: 8
-//   },
-//   ...
-// ]
-
-app.get("/api/leaderboard", async (req, res) => {
+// Optional slice (combine freely):
+//   ?competitionId=2   per-competition table
+//   ?roundId=14        per-round table (weekly winner)
+//   ?from=…&to=…       matches kicking off in that date range
+//
+// Row shape: see buildLeaderboard() in utils/leaderboard.js
+// [{ rank, userId, firstname, surname, email, totalPoints, correctPicks,
+//    exactMargins, predictionsMade, jokerPoints }, ...]
+// The overall (unsliced) table also has previousRank + movement (▲ > 0, ▼ < 0)
+// relative to the last leaderboard snapshot.
+
+app.get("/api/leaderboard", allowApiKey("read:leaderboard"), async (req, res) => {
   try {
+    const { competitionId, roundId, from, to } = req.query;
+    const sliced = !!(competitionId || roundId || from || to);
+
     // pull current data from disk
-    const [users, predictions] = await Promise.all([
-      readJSON("users.json").catch(() => []),
-      readJSON("predictions.json").catch(() => []),
+    const [users, predictions, matches, history] = await Promise.all([
+      repos.users.all().catch(() => []),
+      repos.predictions.all().catch(() => []),
+      repos.matches.all().catch(() => []),
+      sliced ? [] : readJSON("leaderboard-history.json").catch(() => []),
     ]);
 
-    // aggregate points per user
-    const byUser = new Map();
-    for (const p of predictions) {
-      const uid = p.userId;
-      if (!uid) continue;
-
-      // ensure record
-      if (!byUser.has(uid)) {
-        byUser.set(uid, {
-          userId: uid,
-          totalPoints: 0,
-          correctPicks: 0,
-          predictionsMade: 0,
-        });
-      }
+    const rows = buildLeaderboard({
+      users,
+      predictions,
+      matches,
+      filter: { competitionId, roundId, from, to },
+    });
 
-      const bucket = byUser.get(uid);
+    res.json(sliced ? rows : withMovement(rows, history));
+  } catch (err) {
+    console.error("❌ /api/leaderboard error:", err);
+    res.status(500).json({ error: "Failed to build leaderboard" });
+  }
+});
 
-      // count predictions made
-      bucket.predictionsMade += 1;
+// GET /api/leaderboard/history
+// - no query:     every snapshot [{ id, takenAt, trigger, standings: [{ userId, rank, totalPoints }] }]
+// - ?userId=2:    that user's series [{ snapshotId, takenAt, rank, totalPoints }] for charting
+// - ?limit=20:    only the most recent N snapshots
+app.get("/api/leaderboard/history", allowApiKey("read:leaderboard"), async (req, res) => {
+  try {
+    let history = await readJSON("leaderboard-history.json").catch(() => []);
 
-      // add scored points (the recalc step should already have written p.points)
-      const pts = Number(p.points || 0);
-      bucket.totalPoints += pts;
+    const limit = Number(req.query.limit);
+    if (Number.isInteger(limit) && limit > 0) history = history.slice(-limit);
 
-      if (pts > 0) {
-        bucket.correctPicks += 1;
-      }
+    if (req.query.userId) {
+      return res.json(userHistory(history, Number(req.query.userId)));
     }
-
-    // join user info (name/email) onto each row
-    const userById = new Map(users.map(u => [u.id, u]));
-    const rows = Array.from(byUser.values()).map(row => {
-      const u = userById.get(row.userId) || {};
-      return {
-        userId: row.userId,
-        firstname: u.firstname || "",
-        surname: u.surname || "",
-        email: u.email || "",
-        totalPoints: row.totalPoints,
-        correctPicks: row.correctPicks,
-        predictionsMade: row.predictionsMade,
-      };
-    });
-
-    // sort: highest score first, then alphabetical name as tiebreak
-    rows.sort((a, b) => {
-      if (b.totalPoints !== a.totalPoints) {
-        return b.totalPoints - a.totalPoints;
-      }
-      const nameA = `${a.firstname} ${a.surname}`.toLowerCase();
-      const nameB = `${b.firstname} ${b.surname}`.toLowerCase();
-      return nameA.localeCompare(nameB);
-    });
-
-    res.json(rows);
+    res.json(history);
   } catch (err) {
-    console.error("❌ /api/leaderboard error:", err);
-    res.status(500).json({ error: "Failed to build leaderboard" });
+    console.error("❌ /api/leaderboard/history error:", err);
+    res.status(500).json({ error: "Failed to load leaderboard history" });
   }
 });
 
 // ==================== USERS ====================
-app.get("/api/users", authenticateToken, async (req, res) => {
-  const users = await readJSON("users.json");
-  res.json(users);
+// Ways in:
+// - email + password (utils/passwords.js)
+// - email only: we mail a one-time code + link (utils/magicLinks.js, utils/mailer.js)
+//   and POST /api/users/login/verify exchanges it for the JWT.
+// - a Firebase ID token, if Firebase is configured (utils/firebaseAuth.js)
+// Users created before passwords existed have no passwordHash; they log in by
+// email code and can then set one, or an admin issues them a reset token.
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Short-lived access token for a session. The payload and the `user` object
+// are what the frontend reads — keep their shape (`role`, `competitionIds`
+// and `sid` are additions).
+function signAccessToken(user, sessionId) {
+  const role = roleOfUser(user, SUPERADMIN_EMAIL);
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      isAdmin: roleRank(role) >= roleRank("admin"),
+      isSuperAdmin: role === "superadmin",
+      role,
+      competitionIds: role === "competition-admin" ? user.adminCompetitionIds || [] : [],
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function loginUserView(user) {
+  const role = roleOfUser(user, SUPERADMIN_EMAIL);
+  return {
+    id: user.id,
+    email: user.email,
+    firstname: user.firstname,
+    surname: user.surname,
+    isAdmin: roleRank(role) >= roleRank("admin"),
+    isSuperAdmin: role === "superadmin",
+    role,
+    competitionIds: role === "competition-admin" ? user.adminCompetitionIds || [] : [],
+  };
+}
+
+// Start a session and return { token, refreshToken, user }.
+// Every way of logging in ends here.
+async function issueLogin(user, req) {
+  const { session, refreshToken } = createSession(user.id, {
+    userAgent: req.headers["user-agent"] || null,
+  });
+  await updateJSON("sessions.json", (sessions) => [...pruneSessions(sessions), session], { fallback: [] });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    user: loginUserView(user),
+  };
+}
+
+// Revoke a user's sessions (all, or all but one). Returns how many.
+async function revokeSessionsFor(userId, reason, exceptSessionId = null) {
+  let count = 0;
+  await updateJSON(
+    "sessions.json",
+    (sessions) => {
+      count = revokeUserSessions(sessions, userId, reason, exceptSessionId);
+      return count ? sessions : undefined;
+    },
+    { fallback: [] }
+  );
+  if (count) {
+    console.log(`🔒 Revoked ${count} session(s) for user ${userId} (${reason})`);
+  }
+  return count;
+}
+
+app.get("/api/users", authenticateToken, requireAdmin, async (req, res) => {
+  const users = await repos.users.all();
+  res.json(users.map((u) => ({ ...safeUser(u), role: roleOfUser(u, SUPERADMIN_EMAIL) })));
 });
-// Add new user (Admin only)
-app.post("/api/users", authenticateToken, async (req, res) => {
+// Add new user (Admin only). No password — issue them a reset token.
+// isAdmin: true makes an admin, which only a superadmin may do.
+app.post("/api/users", authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { firstname, surname, email, isAdmin } = req.body;
     if (!firstname || !surname || !email) {
       return res.status(400).json({ error: "Missing required fields" });
     }
+    if (isAdmin && !hasRole(req.user, "superadmin")) {
+      return res.status(403).json({ error: "Only a superadmin can create admins" });
+    }
 
-    const users = await readJSON("users.json");
-
-    // Check for duplicates by email
-    if (users.some((u) => u.email === email)) {
+    let newUser = null;
+    await repos.users.update((users) => {
+      // Check for duplicates by email
+      if (findUserByEmail(users, email)) return undefined;
+
+      newUser = {
+        id: users.length ? Math.max(...users.map((u) => u.id)) + 1 : 1,
+        firstname,
+        surname,
+        email: normalizeEmail(email),
+        createdAt: new Date().toISOString(),
+      };
+      applyRole(newUser, isAdmin ? "admin" : "player");
+      return [...users, newUser];
+    });
+    if (!newUser) {
       return res.status(400).json({ error: "User with that email already exists" });
     }
 
-    const newUser = {
-      id: users.length ? Math.max(...users.map((u) => u.id)) + 1 : 1,
-      firstname,
-      surname,
-      email,
-      isAdmin: !!isAdmin,
-      createdAt: new Date().toISOString(),
-    };
-
-    users.push(newUser);
-    await writeJSON("users.json", users);
-
-    res.status(201).json(newUser);
+    res.status(201).json(safeUser(newUser));
   } catch (err) {
     console.error("❌ Error adding user:", err);
     res.status(500).json({ error: "Failed to add user" });
   }
 });
 
-// Login (create-if-missing) + issue JWT with admin flags
-app.post("/api/users/login", async (req, res) => {
+// Register — body: { email, password, firstname, surname }
+app.post("/api/users/register", async (req, res) => {
   try {
-    const { email, firstname, surname } = req.body;
-    if (!email) return res.status(400).json({ error: "Email required" });
-
-    const SUPERADMIN_EMAIL = process.env.SUPERADMIN_EMAIL || "eoinvoconnor@gmail.com";
-
-    const users = await readJSON("users.json");
-    let user = users.find((u) => u.email === email);
-
-    // auto-create if not found (same as before)
-    if (!user) {
+    const { email, password, firstname, surname } = req.body;
+    if (!normalizeEmail(email)) return res.status(400).json({ error: "Email required" });
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    // hash before taking the lock — bcrypt is slow
+    const passwordHash = await hashPassword(password);
+    let user = null;
+    await repos.users.update((users) => {
+      if (findUserByEmail(users, email)) return undefined;
       user = {
-        id: users.length ? Math.max(...users.map(u => u.id)) + 1 : 1,
-        email,
+        id: users.length ? Math.max(...users.map((u) => u.id)) + 1 : 1,
+        email: normalizeEmail(email),
         firstname: firstname || "",
         surname: surname || "",
+        role: "player",
         isAdmin: false,
+        passwordHash,
+        createdAt: new Date().toISOString(),
       };
-      users.push(user);
-      await writeJSON("users.json", users);
+      return [...users, user];
+    });
+    if (!user) {
+      return res.status(409).json({ error: "An account with that email already exists" });
     }
 
-    // compute flags
-    const isSuperAdmin = user.email === SUPERADMIN_EMAIL;
+    res.status(201).json(await issueLogin(user, req));
+  } catch (err) {
+    console.error("❌ Register error:", err);
+    res.status(500).json({ error: "Registration failed" });
+  }
+});
 
-    // sign token (same expiry)
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        isAdmin: !!user.isAdmin,
-        isSuperAdmin,                 // 👈 new
-      },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+// Login
+// - body: { email, password } → { token, user }
+// - body: { email }           → mails a login code/link, { sent: true, expiresInMinutes }
+//   (same reply whether or not the address has an account)
+app.post("/api/users/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!normalizeEmail(email)) return res.status(400).json({ error: "Email required" });
 
-    // include flags in response
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstname: user.firstname,
-        surname: user.surname,
-        isAdmin: !!user.isAdmin,
-        isSuperAdmin,               // 👈 new
-      },
-    });
+    if (password === undefined) return sendLoginCode(email, res);
+    if (await rejectIfLockedOut(email, res)) return;
+
+    const users = await repos.users.all();
+    const user = findUserByEmail(users, email);
+    if (!user || !(await verifyPassword(user, password))) {
+      await loginLockout.recordFailure(normalizeEmail(email));
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    await loginLockout.recordSuccess(normalizeEmail(email));
+
+    res.json(await issueLogin(user, req));
   } catch (err) {
     console.error("❌ Login error:", err);
     res.status(500).json({ error: "Login failed" });
   }
 });
 
+async function sendLoginCode(email, res) {
+  const address = normalizeEmail(email);
+  let wait = 0;
+  let created;
+  await updateJSON(
+    "login-codes.json",
+    (records) => {
+      const codes = pruneLoginCodes(records);
+      wait = retryAfterSeconds(codes, address);
+      if (wait) return undefined;
+      created = createLoginCode(address, JWT_SECRET);
+      return [...codes, created.record];
+    },
+    { fallback: [] }
+  );
 
-app.delete("/api/users/:id", authenticateToken, async (req, res) => {
-  try {
-    const userId = parseInt(req.params.id, 10);
-    if (isNaN(userId)) return res.status(400).json({ error: "Invalid user ID" });
+  if (wait) {
+    res.set("Retry-After", String(wait));
+    return res.status(429).json({ error: "Too many login codes requested — try again later" });
+  }
 
-    const users = await readJSON("users.json");
-    const updatedUsers = users.filter((u) => u.id !== userId);
-    if (updatedUsers.length === users.length) {
-      return res.status(404).json({ error: "User not found" });
+  const { code, linkToken } = created;
+
+  const link = `${APP_URL}/login/verify?token=${encodeURIComponent(linkToken)}`;
+  await sendMail({
+    to: address,
+    subject: "Your Rugby Predictions login code",
+    text:
+      `Your login code is ${code}\n\n` +
+      `Or open this link to log in:\n${link}\n\n` +
+      `It expires in ${CODE_TTL_MINUTES} minutes and works once. ` +
+      `If you didn't ask for it, ignore this email.`,
+  });
+
+  res.json({ sent: true, expiresInMinutes: CODE_TTL_MINUTES });
+}
+
+// Exchange a login code or link for the JWT.
+// body: { token } (from the link) or { email, code }
+// Signing in for the first time creates the account.
+app.post("/api/users/login/verify", async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+    if (!token && !(email && code)) {
+      return res.status(400).json({ error: "token or email + code required" });
     }
 
-    await writeJSON("users.json", updatedUsers);
-    res.json({ success: true });
+    let verified = null;
+    await updateJSON(
+      "login-codes.json",
+      (codes) => {
+        verified = token ? redeemLinkToken(codes, token, JWT_SECRET) : redeemCode(codes, email, code);
+        return codes;
+      },
+      { fallback: [] }
+    );
+    if (!verified) return res.status(401).json({ error: "Invalid or expired login code" });
+
+    let user;
+    await repos.users.update((users) => {
+      user = findUserByEmail(users, verified);
+      if (user) return undefined;
+      user = {
+        id: users.length ? Math.max(...users.map((u) => u.id)) + 1 : 1,
+        email: verified,
+        firstname: "",
+        surname: "",
+        role: "player",
+        isAdmin: false,
+        createdAt: new Date().toISOString(),
+      };
+      return [...users, user];
+    });
+
+    res.json(await issueLogin(user, req));
   } catch (err) {
-    console.error("❌ Error deleting user:", err);
-    res.status(500).json({ error: "Failed to delete user" });
+    console.error("❌ Login verify error:", err);
+    res.status(500).json({ error: "Login failed" });
   }
 });
-// Update an existing user (Admin only)
-app.put("/api/users/:id", authenticateToken, async (req, res) => {
+
+// Firebase login — body: { idToken } → { token, refreshToken, user }
+// Links to the user with that Firebase uid, else the same (verified) email,
+// else creates one. The email must be verified, emulator included.
+app.post("/api/users/login/firebase", async (req, res) => {
   try {
-    const users = await readJSON("users.json");
-    const index = users.findIndex((u) => u.id === parseInt(req.params.id));
-    if (index === -1)
-      return res.status(404).json({ error: "User not found" });
+    if (!firebaseLoginEnabled()) {
+      return res.status(404).json({ error: "Firebase login is not configured" });
+    }
+    if (!req.body.idToken) return res.status(400).json({ error: "idToken required" });
+
+    let decoded;
+    try {
+      decoded = await verifyFirebaseIdToken(req.body.idToken);
+    } catch (err) {
+      console.error("❌ Firebase token rejected:", err.code || err.message);
+      return res.status(401).json({ error: "Invalid Firebase ID token" });
+    }
+
+    const email = normalizeEmail(decoded.email);
+    if (!email) return res.status(400).json({ error: "Firebase account has no email" });
+    if (!decoded.email_verified) {
+      return res.status(403).json({ error: "Firebase email address is not verified" });
+    }
+
+    let user;
+    await repos.users.update((users) => {
+      user = users.find((u) => u.firebaseUid === decoded.uid) || findUserByEmail(users, email);
+      if (user?.firebaseUid === decoded.uid) return undefined;
+      if (!user) {
+        const [firstname = "", ...rest] = String(decoded.name || "").trim().split(/\s+/);
+        user = {
+          id: users.length ? Math.max(...users.map((u) => u.id)) + 1 : 1,
+          email,
+          firstname,
+          surname: rest.join(" "),
+          role: "player",
+          isAdmin: false,
+          createdAt: new Date().toISOString(),
+        };
+        users.push(user);
+      }
+      user.firebaseUid = decoded.uid;
+      return users;
+    });
 
-    users[index] = { ...users[index], ...req.body };
-    await writeJSON("users.json", users);
-    res.json(users[index]);
+    res.json(await issueLogin(user, req));
   } catch (err) {
-    console.error("❌ Failed to update user:", err);
-    res.status(500).json({ error: "Failed to update user" });
+    console.error("❌ Firebase login error:", err);
+    res.status(500).json({ error: "Login failed" });
   }
 });
 
+// Swap a refresh token for a new access + refresh token pair.
+// body: { refreshToken } → { token, refreshToken, user }
+app.post("/api/users/token/refresh", async (req, res) => {
+  try {
+    // written back even on error: reuse detection may have revoked the session
+    let rotated;
+    await updateJSON(
+      "sessions.json",
+      (sessions) => {
+        rotated = rotateRefreshToken(sessions, req.body.refreshToken);
+        return sessions;
+      },
+      { fallback: [] }
+    );
+    if (rotated.error) return res.status(401).json({ error: rotated.error });
 
-// ==================== COMPETITIONS ====================
-app.get("/api/competitions", async (req, res) => {
-  const competitions = await readJSON("competitions.json");
-  const includeArchived = String(req.query.includeArchived || "") === "1";
-  const filtered = includeArchived
-    ? competitions
-    : competitions.filter(c => !c.isArchived);
-  res.json(filtered);
-});
+    // re-read the user so role changes and deletions take effect
+    const users = await repos.users.all();
+    const user = users.find((u) => u.id === rotated.session.userId);
+    if (!user) {
+      await updateJSON("sessions.json", (sessions) => {
+        const session = sessions.find((s) => s.id === rotated.session.id);
+        return session && revokeSession(session, "user-deleted") ? sessions : undefined;
+      });
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
 
-app.put("/api/competitions/:id", authenticateToken, async (req, res) => {
-  const competitions = await readJSON("competitions.json");
-  const index = competitions.findIndex((c) => c.id === parseInt(req.params.id));
-  if (index !== -1) {
-    competitions[index] = { ...competitions[index], ...req.body };
-    await writeJSON("competitions.json", competitions);
-    res.json(competitions[index]);
-  } else {
-    res.status(404).json({ error: "Competition not found" });
+    res.json({
+      token: signAccessToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      user: loginUserView(user),
+    });
+  } catch (err) {
+    console.error("❌ Token refresh error:", err);
+    res.status(500).json({ error: "Failed to refresh token" });
   }
 });
-// Add new competition
-app.post("/api/competitions", authenticateToken, async (req, res) => {
+
+// Log out this session
+app.post("/api/users/logout", authenticateToken, async (req, res) => {
   try {
-    const { name, url, color } = req.body;
-    if (!name || !url) {
-      return res.status(400).json({ error: "Missing name or URL" });
-    }
+    await updateJSON(
+      "sessions.json",
+      (sessions) => {
+        const session = sessions.find((s) => s.id === req.user.sid);
+        return session && revokeSession(session, "logout") ? sessions : undefined;
+      },
+      { fallback: [] }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Logout error:", err);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
 
-    const competitions = await readJSON("competitions.json");
+// Log out everywhere (every session of this user, this one included)
+app.post("/api/users/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSessionsFor(req.user.id, "logout-all");
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error("❌ Logout-all error:", err);
+    res.status(500).json({ error: "Failed to log out everywhere" });
+  }
+});
 
-    const newCompetition = {
-      id: competitions.length ? Math.max(...competitions.map((c) => c.id)) + 1 : 1,
-      name,
-      url,
-      color: color || "#1976d2",
-      createdAt: new Date().toISOString(),
-      lastRefreshed: null,
-      hidden: false, // if you support soft-delete; harmless otherwise
-    };
+// Change my password — body: { currentPassword, newPassword }
+// currentPassword isn't needed if the account has no password yet.
+app.post("/api/users/me/password", authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ error: passwordError });
 
-    competitions.push(newCompetition);
-    await writeJSON("competitions.json", competitions);
+    const users = await repos.users.all();
+    const user = users.find((u) => u.id === req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
 
-    // Try auto-refresh the new comp so matches appear immediately
-    try {
-      const { added } = await refreshCompetitionById(newCompetition.id);
-      console.log(`✅ Auto-refreshed "${newCompetition.name}" — added ${added} matches`);
-    } catch (e) {
-      console.warn("⚠️ Auto-refresh after add failed:", e.message);
+    if (user.passwordHash && !(await verifyPassword(user, currentPassword))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
     }
 
-    return res.status(201).json(newCompetition);
+    const passwordHash = await hashPassword(newPassword);
+    await repos.users.update((current) => {
+      const target = current.find((u) => u.id === user.id);
+      if (!target) return undefined;
+      target.passwordHash = passwordHash;
+      delete target.passwordReset;
+      return current;
+    });
+    await revokeSessionsFor(user.id, "password-change", req.user.sid);
+    res.json({ success: true });
   } catch (err) {
-    console.error("❌ Failed to add competition:", err);
-    return res.status(500).json({ error: "Failed to add competition" });
+    console.error("❌ Change password error:", err);
+    res.status(500).json({ error: "Failed to change password" });
   }
 });
 
-
-// Delete a competition
-app.delete("/api/competitions/:id", authenticateToken, async (req, res) => {
+// Use a reset token — body: { token, newPassword } → { token, user } (logged in)
+app.post("/api/users/reset-password", async (req, res) => {
   try {
-    const competitions = await readJSON("competitions.json");
-    const id = parseInt(req.params.id);
-    const filtered = competitions.filter((c) => c.id !== id);
+    const { token, newPassword } = req.body;
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const passwordHash = await hashPassword(newPassword);
+    // find and use up the token under the lock, so it only works once
+    let user = null;
+    await repos.users.update((users) => {
+      user = findUserByResetToken(users, token);
+      if (!user) return undefined;
+      user.passwordHash = passwordHash;
+      delete user.passwordReset;
+      return users;
+    });
+    if (!user) return res.status(400).json({ error: "Invalid or expired reset token" });
+    await revokeSessionsFor(user.id, "password-reset");
 
-    if (filtered.length === competitions.length) {
-      return res.status(404).json({ error: "Competition not found" });
-    }
+    res.json(await issueLogin(user, req));
+  } catch (err) {
+    console.error("❌ Reset password error:", err);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
 
-    await writeJSON("competitions.json", filtered);
-    res.json({ success: true });
+// Admin: issue a reset token for one user (pass it on to them out of band).
+// A new token replaces any earlier one.
+app.post("/api/admin/users/:id/reset-token", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { token, expiresAt, passwordReset } = createResetToken();
+    let user = null;
+    await repos.users.update((users) => {
+      user = users.find((u) => u.id === Number(req.params.id));
+      if (!user) return undefined;
+      user.passwordReset = passwordReset;
+      return users;
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    console.log(`🔑 Password reset token issued for user ${user.id} by ${req.user.email}`);
+    res.json({ userId: user.id, email: user.email, resetToken: token, expiresAt });
   } catch (err) {
-    console.error("❌ Failed to delete competition:", err);
-    res.status(500).json({ error: "Failed to delete competition" });
+    console.error("❌ Reset token error:", err);
+    res.status(500).json({ error: "Failed to issue reset token" });
   }
 });
-// Refresh a single competition's feed and update its matches
-app.post(
-  "/api/competitions/:id/refresh",
-  authenticateToken,
-  requireAdmin,
-  async (req, res) => {
-    try {
-      const compId = Number(req.params.id);
-      if (!compId) {
-        return res.status(400).json({ error: "Invalid competition ID" });
+
+// Admin: migration helper — reset tokens for every user without a password
+app.post("/api/admin/users/password-setup-tokens", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const issued = [];
+    await repos.users.update((users) => {
+      for (const user of users.filter((u) => !u.passwordHash)) {
+        const { token, expiresAt, passwordReset } = createResetToken();
+        user.passwordReset = passwordReset;
+        issued.push({ userId: user.id, email: user.email, resetToken: token, expiresAt });
       }
+      return issued.length ? users : undefined;
+    });
 
-      console.log(`🔄 Refreshing competition ID: ${compId}`);
+    console.log(`🔑 Issued ${issued.length} password setup tokens`);
+    res.json(issued);
+  } catch (err) {
+    console.error("❌ Setup tokens error:", err);
+    res.status(500).json({ error: "Failed to issue setup tokens" });
+  }
+});
 
-      const result = await refreshCompetitionById(compId);
+// Delete an account: the user record becomes an anonymous tombstone (their
+// predictions stay on past leaderboards as "Former player"), they leave their
+// leagues, their name and email go from archived seasons and the stored
+// leaderboard, and every session is revoked.
+async function deleteAccount(userId, reason) {
+  let tombstone = null;
+  await repos.users.update((users) => {
+    const idx = users.findIndex((u) => u.id === userId);
+    if (idx === -1) return undefined;
+    tombstone = users[idx] = anonymisedUser(users[idx]);
+    return users;
+  });
+  if (!tombstone) return false;
 
-      return res.json({
+  await updateJSON("leagues.json", (leagues) => removeFromLeagues(leagues, userId), { fallback: [] });
+  await updateJSON(
+    "season-archives.json",
+    (archives) => (anonymiseArchiveRows(archives, userId, tombstone) ? archives : undefined),
+    { fallback: [] }
+  );
+  await rebuildStandings(reason);
+  await revokeSessionsFor(userId, reason);
+  console.log(`🗑️ Account ${userId} deleted (${reason})`);
+  return true;
+}
+
+// ---------- My account ----------
+// (registered before the /api/users/:id routes so "me" isn't taken as an id)
+
+app.get("/api/users/me", authenticateToken, async (req, res) => {
+  try {
+    const users = await repos.users.all();
+    const user = users.find((u) => u.id === req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(profileView(user, roleOfUser(user, SUPERADMIN_EMAIL)));
+  } catch (err) {
+    console.error("❌ /api/users/me error:", err);
+    res.status(500).json({ error: "Failed to load profile" });
+  }
+});
+
+// Update my profile — only firstname, surname, displayName, timezone, notifications
+app.put("/api/users/me", authenticateToken, async (req, res) => {
+  try {
+    let user = null;
+    let error = null;
+    await repos.users.update((users) => {
+      user = users.find((u) => u.id === req.user.id);
+      if (!user) return undefined;
+      const update = validateProfileUpdate(req.body, user);
+      if ((error = update.error)) return undefined;
+      Object.assign(user, update.changes);
+      return users;
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (error) return res.status(400).json({ error });
+
+    res.json(profileView(user, roleOfUser(user, SUPERADMIN_EMAIL)));
+  } catch (err) {
+    console.error("❌ Update profile failed:", err);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// Download my data (JSON attachment)
+app.get("/api/users/me/export", authenticateToken, async (req, res) => {
+  try {
+    const [users, predictions, leagues, survivorPicks, sessions] = await Promise.all([
+      repos.users.all(),
+      repos.predictions.all().catch(() => []),
+      readJSON("leagues.json").catch(() => []),
+      readJSON("survivor.json").catch(() => []),
+      readJSON("sessions.json").catch(() => []),
+    ]);
+    const user = users.find((u) => u.id === req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.set("Content-Disposition", `attachment; filename="rugby-predictions-user-${user.id}.json"`);
+    res.json(buildDataExport(user, { predictions, leagues, survivorPicks, sessions }));
+  } catch (err) {
+    console.error("❌ Data export failed:", err);
+    res.status(500).json({ error: "Failed to export data" });
+  }
+});
+
+// Delete my account — body: { confirm: "DELETE" }
+app.delete("/api/users/me", authenticateToken, async (req, res) => {
+  try {
+    if (req.body.confirm !== "DELETE") {
+      return res.status(400).json({ error: 'Send { "confirm": "DELETE" } to delete your account' });
+    }
+    if (!(await deleteAccount(req.user.id, "account-deleted"))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete account failed:", err);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+app.delete("/api/users/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    if (isNaN(userId)) return res.status(400).json({ error: "Invalid user ID" });
+
+    const users = await repos.users.all();
+    const target = users.find((u) => u.id === userId);
+    if (!target || target.deletedAt) return res.status(404).json({ error: "User not found" });
+    if (roleRank(roleOfUser(target, SUPERADMIN_EMAIL)) >= roleRank("admin") && !hasRole(req.user, "superadmin")) {
+      return res.status(403).json({ error: "Only a superadmin can delete admins" });
+    }
+
+    await deleteAccount(userId, "user-deleted");
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Error deleting user:", err);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
+// Update an existing user (Admin only) — the profile fields plus email.
+// Credentials change through the password routes, roles through /role.
+app.put("/api/users/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let before = null;
+    let after = null;
+    let failure = null;
+    await repos.users.update((users) => {
+      const index = users.findIndex((u) => u.id === parseInt(req.params.id));
+      if (index === -1) return undefined;
+
+      before = users[index];
+      const { changes, error } = validateProfileUpdate(req.body, before, { allowEmail: true });
+      if (error) {
+        failure = { status: 400, error };
+        return undefined;
+      }
+      const emailChanged = changes.email && changes.email !== before.email;
+      // the email is the login — changing it on an admin account hands over the account
+      if (
+        emailChanged &&
+        roleRank(roleOfUser(before, SUPERADMIN_EMAIL)) >= roleRank("admin") &&
+        !hasRole(req.user, "superadmin")
+      ) {
+        failure = { status: 403, error: "Only a superadmin can change an admin's email" };
+        return undefined;
+      }
+      if (emailChanged && findUserByEmail(users, changes.email)) {
+        failure = { status: 409, error: "Another user has that email" };
+        return undefined;
+      }
+
+      after = users[index] = { ...before, ...changes };
+      return users;
+    });
+    if (!before) return res.status(404).json({ error: "User not found" });
+    if (failure) return res.status(failure.status).json({ error: failure.error });
+
+    // tokens carry the email — force a fresh login
+    if (before.email !== after.email) {
+      await revokeSessionsFor(before.id, "email-change");
+    }
+    res.json(safeUser(after));
+  } catch (err) {
+    console.error("❌ Failed to update user:", err);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+
+// Assign a role — body: { role, competitionIds? } (competitionIds for competition-admin)
+// Admins hand out player/competition-admin; admin and superadmin need a superadmin.
+app.put("/api/users/:id/role", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { role, competitionIds } = req.body;
+    const competitions = await repos.competitions.all();
+    const invalid = validateRoleAssignment({ role, competitionIds, competitions });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let user = null;
+    let forbidden = null;
+    await repos.users.update((users) => {
+      user = users.find((u) => u.id === Number(req.params.id));
+      if (!user) return undefined;
+      if ((forbidden = canAssignRole(req.user, user, role, SUPERADMIN_EMAIL))) return undefined;
+      applyRole(user, role, competitionIds || []);
+      return users;
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (forbidden) return res.status(403).json({ error: forbidden });
+
+    await revokeSessionsFor(user.id, "role-change");
+
+    console.log(`🛡️ ${req.user.email} set role of user ${user.id} to ${role}`);
+    res.json(safeUser(user));
+  } catch (err) {
+    console.error("❌ Assign role failed:", err);
+    res.status(500).json({ error: "Failed to assign role" });
+  }
+});
+
+// Roles that can be assigned
+app.get("/api/roles", authenticateToken, requireAdmin, (req, res) => {
+  res.json(ROLES);
+});
+
+// ==================== COMPETITIONS ====================
+app.get("/api/competitions", async (req, res) => {
+  const competitions = await repos.competitions.all();
+  const includeArchived = String(req.query.includeArchived || "") === "1";
+  const filtered = includeArchived
+    ? competitions
+    : competitions.filter(c => !c.isArchived);
+  res.json(filtered);
+});
+
+// Effective scoring rules for a competition (defaults merged with its overrides)
+app.get("/api/competitions/:id/scoring-rules", async (req, res) => {
+  const competitions = await repos.competitions.all();
+  const comp = competitions.find((c) => c.id === parseInt(req.params.id));
+  if (!comp) return res.status(404).json({ error: "Competition not found" });
+  res.json(resolveScoringRules(comp));
+});
+
+// Fields PUT /api/competitions/:id may change; id, timestamps and archive/hide
+// flags have their own routes or are managed by the server.
+const EDITABLE_COMPETITION_FIELDS = ["name", "url", "color", "lockOffsetMinutes", "lockMode"];
+
+// Update a competition. `scoringRules` may be partial — it's merged into the
+// competition's existing overrides.
+app.put("/api/competitions/:id", authenticateToken, requireCompetitionAdmin(competitionFromParam), async (req, res) => {
+  try {
+    const lockError = validateLockSettings(req.body);
+    if (lockError) return res.status(400).json({ error: lockError });
+
+    if (req.body.scoringRules !== undefined) {
+      const rulesError = validateScoringRules(req.body.scoringRules);
+      if (rulesError) return res.status(400).json({ error: rulesError });
+    }
+
+    const changes = {};
+    for (const field of EDITABLE_COMPETITION_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (changes.lockOffsetMinutes !== undefined) changes.lockOffsetMinutes = Number(changes.lockOffsetMinutes);
+
+    const id = parseInt(req.params.id);
+    let updated = null;
+    await repos.competitions.update((competitions) => {
+      const index = competitions.findIndex((c) => c.id === id);
+      if (index === -1) return undefined;
+      const current = competitions[index];
+      updated = { ...current, ...changes, id: current.id };
+      if (req.body.scoringRules !== undefined) {
+        updated.scoringRules = { ...current.scoringRules, ...req.body.scoringRules };
+      }
+      competitions[index] = updated;
+      return competitions;
+    });
+
+    if (!updated) return res.status(404).json({ error: "Competition not found" });
+    res.json(updated);
+  } catch (err) {
+    console.error("❌ Failed to update competition:", err);
+    res.status(500).json({ error: "Failed to update competition" });
+  }
+});
+// Add new competition
+app.post("/api/competitions", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, url, color, lockOffsetMinutes, lockMode } = req.body;
+    if (!name || !url) {
+      return res.status(400).json({ error: "Missing name or URL" });
+    }
+    const lockError = validateLockSettings(req.body);
+    if (lockError) return res.status(400).json({ error: lockError });
+
+    let newCompetition;
+    await repos.competitions.update((competitions) => {
+      newCompetition = {
+        id: competitions.length ? Math.max(...competitions.map((c) => c.id)) + 1 : 1,
+        name,
+        url,
+        color: color || "#1976d2",
+        createdAt: new Date().toISOString(),
+        lastRefreshed: null,
+        hidden: false, // if you support soft-delete; harmless otherwise
+        lockOffsetMinutes: lockOffsetMinutes !== undefined ? Number(lockOffsetMinutes) : 0,
+        lockMode: lockMode || "match",
+      };
+      return [...competitions, newCompetition];
+    });
+
+    // Try auto-refresh the new comp so matches appear immediately
+    try {
+      const { added } = await refreshCompetitionById(newCompetition.id);
+      console.log(`✅ Auto-refreshed "${newCompetition.name}" — added ${added} matches`);
+    } catch (e) {
+      console.warn("⚠️ Auto-refresh after add failed:", e.message);
+    }
+
+    return res.status(201).json(newCompetition);
+  } catch (err) {
+    console.error("❌ Failed to add competition:", err);
+    return res.status(500).json({ error: "Failed to add competition" });
+  }
+});
+
+
+// Delete a competition
+app.delete("/api/competitions/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    let found = false;
+    await repos.competitions.update((competitions) => {
+      found = competitions.some((c) => c.id === id);
+      return found ? competitions.filter((c) => c.id !== id) : undefined;
+    });
+
+    if (!found) {
+      return res.status(404).json({ error: "Competition not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Failed to delete competition:", err);
+    res.status(500).json({ error: "Failed to delete competition" });
+  }
+});
+// Refresh a single competition's feed and update its matches
+app.post(
+  "/api/competitions/:id/refresh",
+  authenticateToken,
+  requireCompetitionAdmin(competitionFromParam),
+  async (req, res) => {
+    try {
+      const compId = Number(req.params.id);
+      if (!compId) {
+        return res.status(400).json({ error: "Invalid competition ID" });
+      }
+
+      console.log(`🔄 Refreshing competition ID: ${compId}`);
+
+      const result = await refreshCompetitionById(compId);
+
+      return res.json({
         message: `✅ Refreshed competition ${compId}`,
         ...result, // contains { added: n }
       });
@@ -711,50 +1554,67 @@ app.post(
   }
 );
 
+// Set flags like isArchived / active on a competition; resolves to it, or null
+async function setCompetitionFlags(id, flags) {
+  let competition = null;
+  await repos.competitions.update((competitions) => {
+    const idx = competitions.findIndex(c => c.id === id);
+    if (idx === -1) return undefined;
+    competition = competitions[idx] = { ...competitions[idx], ...flags };
+    return competitions;
+  });
+  return competition;
+}
+
 // Soft delete (archive)
-app.post("/api/competitions/:id/archive", authenticateToken, async (req, res) => {
-  const id = parseInt(req.params.id);
-  const competitions = await readJSON("competitions.json");
-  const idx = competitions.findIndex(c => c.id === id);
-  if (idx === -1) return res.status(404).json({ error: "Competition not found" });
-  competitions[idx].isArchived = true;
-  await writeJSON("competitions.json", competitions);
-  res.json({ success: true, competition: competitions[idx] });
+app.post("/api/competitions/:id/archive", authenticateToken, requireCompetitionAdmin(competitionFromParam), async (req, res) => {
+  const competition = await setCompetitionFlags(parseInt(req.params.id), { isArchived: true });
+  if (!competition) return res.status(404).json({ error: "Competition not found" });
+  res.json({ success: true, competition });
 });
 
 // Undo archive
-app.post("/api/competitions/:id/unarchive", authenticateToken, async (req, res) => {
-  const id = parseInt(req.params.id);
-  const competitions = await readJSON("competitions.json");
-  const idx = competitions.findIndex(c => c.id === id);
-  if (idx === -1) return res.status(404).json({ error: "Competition not found" });
-  competitions[idx].isArchived = false;
-  await writeJSON("competitions.json", competitions);
-  res.json({ success: true, competition: competitions[idx] });
+app.post("/api/competitions/:id/unarchive", authenticateToken, requireCompetitionAdmin(competitionFromParam), async (req, res) => {
+  const competition = await setCompetitionFlags(parseInt(req.params.id), { isArchived: false });
+  if (!competition) return res.status(404).json({ error: "Competition not found" });
+  res.json({ success: true, competition });
 });
 // Superadmin stuff
 // Soft-delete (hide) a competition (does not remove matches/predictions)
 app.post("/api/competitions/:id/hide", authenticateToken, requireAdmin, async (req, res) => {
-  const id = parseInt(req.params.id);
-  const comps = await readJSON("competitions.json");
-  const idx = comps.findIndex(c => c.id === id);
-  if (idx === -1) return res.status(404).json({ error: "Competition not found" });
-  comps[idx] = { ...comps[idx], active: false };
-  await writeJSON("competitions.json", comps);
-  res.json({ success: true, competition: comps[idx] });
+  const competition = await setCompetitionFlags(parseInt(req.params.id), { active: false });
+  if (!competition) return res.status(404).json({ error: "Competition not found" });
+  res.json({ success: true, competition });
 });
 
 // Restore a hidden competition
 app.post("/api/competitions/:id/restore", authenticateToken, requireAdmin, async (req, res) => {
-  const id = parseInt(req.params.id);
-  const comps = await readJSON("competitions.json");
-  const idx = comps.findIndex(c => c.id === id);
-  if (idx === -1) return res.status(404).json({ error: "Competition not found" });
-  comps[idx] = { ...comps[idx], active: true };
-  await writeJSON("competitions.json", comps);
-  res.json({ success: true, competition: comps[idx] });
+  const competition = await setCompetitionFlags(parseInt(req.params.id), { active: true });
+  if (!competition) return res.status(404).json({ error: "Competition not found" });
+  res.json({ success: true, competition });
 });
 
+// Hard delete a competition with its matches and their predictions.
+// Returns { matches, predictions } that were removed.
+async function purgeCompetition(id) {
+  await repos.competitions.update((competitions) => competitions.filter((c) => c.id !== id));
+
+  let matches = [];
+  await repos.matches.update((all) => {
+    matches = all.filter((m) => m.competitionId === id);
+    return matches.length ? all.filter((m) => m.competitionId !== id) : undefined;
+  });
+
+  const matchIds = new Set(matches.map((m) => m.id));
+  let predictions = [];
+  await repos.predictions.update((all) => {
+    predictions = all.filter((p) => matchIds.has(Number(p.matchId)));
+    return predictions.length ? all.filter((p) => !matchIds.has(Number(p.matchId))) : undefined;
+  });
+
+  return { matches, predictions };
+}
+
 // SuperAdmin-only destructive purge
 // SuperAdmin-only destructive purge (hard delete competition + its matches + predictions)
 app.delete(
@@ -765,40 +1625,21 @@ app.delete(
     try {
       const id = parseInt(req.params.id, 10);
 
-      const competitions = await readJSON("competitions.json");
-      const matches = await readJSON("matches.json");
-      const predictions = await readJSON("predictions.json");
-
-      const compIdx = competitions.findIndex((c) => c.id === id);
-      if (compIdx === -1) {
+      const competitions = await repos.competitions.all();
+      const removedCompetition = competitions.find((c) => c.id === id);
+      if (!removedCompetition) {
         return res.status(404).json({ error: "Competition not found" });
       }
 
-      const removedCompetition = competitions[compIdx];
-
-      // collect matchIds for this competition
-      const matchIdsToRemove = new Set(
-        matches.filter((m) => m.competitionId === id).map((m) => m.id)
-      );
-
-      const keptCompetitions = competitions.filter((c) => c.id !== id);
-      const keptMatches = matches.filter((m) => m.competitionId !== id);
-      const keptPredictions = predictions.filter(
-        (p) => !matchIdsToRemove.has(p.matchId)
-      );
-
-      // write files
-      await writeJSON("competitions.json", keptCompetitions);
-      await writeJSON("matches.json", keptMatches);
-      await writeJSON("predictions.json", keptPredictions);
+      const removed = await purgeCompetition(id);
 
       res.json({
         success: true,
         message: `Purged "${removedCompetition.name}" and all related data.`,
         removed: {
           competition: removedCompetition,
-          matches: matchIdsToRemove.size,
-          predictions: predictions.length - keptPredictions.length,
+          matches: removed.matches.length,
+          predictions: removed.predictions.length,
         },
       });
     } catch (err) {
@@ -815,10 +1656,10 @@ app.get(
   requireAdmin,
   async (req, res) => {
     try {
-      const competitions = await readJSON("competitions.json");
-      const matches = await readJSON("matches.json");
-      const predictions = await readJSON("predictions.json");
-      const users = await readJSON("users.json");
+      const competitions = await repos.competitions.all();
+      const matches = await repos.matches.all();
+      const predictions = await repos.predictions.all();
+      const users = await repos.users.all();
 
       const compById = new Map(competitions.map((c) => [c.id, c]));
       const matchIds = new Set(matches.map((m) => m.id));
@@ -877,8 +1718,7 @@ app.post(
   requireAdmin,
   async (req, res) => {
     try {
-      const competitions = await readJSON("competitions.json");
-      const matches = await readJSON("matches.json");
+      const competitions = await repos.competitions.all();
 
       const compById = new Map(competitions.map((c) => [c.id, c]));
       const compByName = new Map(
@@ -887,21 +1727,20 @@ app.post(
 
       let updated = 0;
 
-      for (const m of matches) {
-        const hasValidCompId = compById.has(m.competitionId);
-        if (hasValidCompId) continue;
-
-        const best = compByName.get(String(m.competitionName).trim().toLowerCase());
-        if (best) {
-          m.competitionId = best.id;
-          if (best.color) m.competitionColor = best.color;
-          updated++;
+      await repos.matches.update((matches) => {
+        for (const m of matches) {
+          const hasValidCompId = compById.has(m.competitionId);
+          if (hasValidCompId) continue;
+
+          const best = compByName.get(String(m.competitionName).trim().toLowerCase());
+          if (best) {
+            m.competitionId = best.id;
+            if (best.color) m.competitionColor = best.color;
+            updated++;
+          }
         }
-      }
-
-      if (updated > 0) {
-        await writeJSON("matches.json", matches);
-      }
+        return updated > 0 ? matches : undefined;
+      });
 
       res.json({
         success: true,
@@ -927,34 +1766,18 @@ app.delete(
   async (req, res) => {
     const id = parseInt(req.params.id);
 
-    const competitions = await readJSON("competitions.json");
-    const allMatches = await readJSON("matches.json");            // <- rename
-    const predictions = await readJSON("predictions.json");
-    
+    const competitions = await repos.competitions.all();
     const comp = competitions.find(c => c.id === id);
     if (!comp) return res.status(404).json({ error: "Competition not found" });
-    
-    // Remove competition
-    const newComps = competitions.filter(c => c.id !== id);
-    
-    // Remove matches for this comp
-    const removedMatches = allMatches.filter(m => m.competitionId === id);
-    const removedMatchIds = new Set(removedMatches.map(m => m.id));
-    const keptMatches = allMatches.filter(m => !removedMatchIds.has(m.id)); // <- rename
-    
-    // Remove predictions for those matches
-    const newPredictions = predictions.filter(p => !removedMatchIds.has(p.matchId));
-    
-    await writeJSON("competitions.json", newComps);
-    await writeJSON("matches.json", keptMatches);                 // <- renamed
-    await writeJSON("predictions.json", newPredictions);
-    
+
+    const removed = await purgeCompetition(id);
+
     res.json({
       success: true,
       deleted: {
         competition: comp.id,
-        matches: removedMatches.length,
-        predictions: predictions.length - newPredictions.length,
+        matches: removed.matches.length,
+        predictions: removed.predictions.length,
       },
     });
   }
@@ -966,10 +1789,10 @@ app.delete(
 async function logDataCounts() {
   try {
     const [matches, competitions, users, predictions] = await Promise.all([
-      readJSON("matches.json").catch(() => []),
-      readJSON("competitions.json").catch(() => []),
-      readJSON("users.json").catch(() => []),
-      readJSON("predictions.json").catch(() => []),
+      repos.matches.all().catch(() => []),
+      repos.competitions.all().catch(() => []),
+      repos.users.all().catch(() => []),
+      repos.predictions.all().catch(() => []),
     ]);
     console.log(
       `✅ Loaded ${matches.length} matches, ` +
@@ -983,98 +1806,122 @@ async function logDataCounts() {
 logDataCounts();
 
 // --- MATCHES ---
-app.get("/api/matches", async (req, res) => {
-  try {
-    const all = await readJSON("matches.json");
-
-    const {
-      sort,
-      order,
-      team,
-      from,
-      to,
-      competitionId: competitionIdRaw,
-    } = req.query;
-
-    // always read competitionId from req.query inside the route
-    const competitionId = competitionIdRaw ? Number(competitionIdRaw) : null;
+// Apply the GET /api/matches query (competitionId, roundId, team, from, to, sort, order)
+function filterMatches(all, query = {}) {
+  const {
+    sort,
+    order,
+    team,
+    from,
+    to,
+    competitionId: competitionIdRaw,
+    roundId: roundIdRaw,
+  } = query;
+
+  const competitionId = competitionIdRaw ? Number(competitionIdRaw) : null;
+  const roundId = roundIdRaw ? Number(roundIdRaw) : null;
+
+  let results = [...all];
+
+  if (competitionId) {
+    results = results.filter((m) => m.competitionId === competitionId);
+  }
 
-    let results = [...all];
+  if (roundId) {
+    results = results.filter((m) => m.roundId === roundId);
+  }
 
-    if (competitionId) {
-      results = results.filter((m) => m.competitionId === competitionId);
-    }
+  if (team) {
+    const q = String(team).toLowerCase();
+    results = results.filter(
+      (m) =>
+        m.teamA.toLowerCase().includes(q) ||
+        m.teamB.toLowerCase().includes(q) ||
+        (m.competitionName || "").toLowerCase().includes(q)
+    );
+  }
 
-    if (team) {
-      const q = String(team).toLowerCase();
-      results = results.filter(
-        (m) =>
-          m.teamA.toLowerCase().includes(q) ||
-          m.teamB.toLowerCase().includes(q) ||
-          (m.competitionName || "").toLowerCase().includes(q)
-      );
-    }
+  if (from) {
+    const fromDate = new Date(from);
+    results = results.filter((m) => new Date(m.kickoff) >= fromDate);
+  }
+  if (to) {
+    const toDate = new Date(to);
+    results = results.filter((m) => new Date(m.kickoff) <= toDate);
+  }
 
-    if (from) {
-      const fromDate = new Date(from);
-      results = results.filter((m) => new Date(m.kickoff) >= fromDate);
-    }
-    if (to) {
-      const toDate = new Date(to);
-      results = results.filter((m) => new Date(m.kickoff) <= toDate);
-    }
+  if (sort) {
+    const dir = order === "desc" ? -1 : 1;
+    results.sort((a, b) => {
+      if (sort === "date" || sort === "kickoff") {
+        return (new Date(a.kickoff) - new Date(b.kickoff)) * dir;
+      }
+      if (sort === "competition") {
+        return a.competitionName.localeCompare(b.competitionName) * dir;
+      }
+      if (sort === "team") {
+        return a.teamA.localeCompare(b.teamA) * dir;
+      }
+      return 0;
+    });
+  }
 
-    if (sort) {
-      const dir = order === "desc" ? -1 : 1;
-      results.sort((a, b) => {
-        if (sort === "date" || sort === "kickoff") {
-          return (new Date(a.kickoff) - new Date(b.kickoff)) * dir;
-        }
-        if (sort === "competition") {
-          return a.competitionName.localeCompare(b.competitionName) * dir;
-        }
-        if (sort === "team") {
-          return a.teamA.localeCompare(b.teamA) * dir;
-        }
-        return 0;
-      });
-    }
+  return results;
+}
 
-    return res.json(results);
+app.get("/api/matches", allowApiKey("read:matches"), async (req, res) => {
+  try {
+    const all = await repos.matches.all();
+    return res.json(filterMatches(all, req.query));
   } catch (e) {
     console.error("❌ /api/matches error:", e);
     return res.status(500).json({ error: "Failed to load matches" });
   }
 });
 
+// GET /api/matches/consensus
+// Crowd picks per match — same filters as GET /api/matches.
+// See utils/consensus.js for the row shape.
+app.get("/api/matches/consensus", allowApiKey("read:matches"), async (req, res) => {
+  try {
+    const [all, predictions] = await Promise.all([
+      repos.matches.all(),
+      repos.predictions.all(),
+    ]);
+    res.json(buildConsensus(filterMatches(all, req.query), predictions));
+  } catch (err) {
+    console.error("❌ /api/matches/consensus error:", err);
+    res.status(500).json({ error: "Failed to build consensus" });
+  }
+});
 
 // Add a match
-app.post("/api/matches", authenticateToken, requireAdmin, async (req, res) => {
+app.post("/api/matches", authenticateToken, requireCompetitionAdmin(competitionFromBody), async (req, res) => {
   try {
     const { competitionId, teamA, teamB, kickoff } = req.body;
     if (!competitionId || !teamA || !teamB || !kickoff) {
       return res.status(400).json({ error: "Missing fields" });
     }
 
-    const [competitions, matches] = await Promise.all([
-      readJSON("competitions.json"),
-      readJSON("matches.json"),
-    ]);
-
+    const competitions = await repos.competitions.all();
     const comp = competitions.find((c) => c.id === Number(competitionId));
-    const newMatch = {
-      id: matches.length ? Math.max(...matches.map((m) => m.id)) + 1 : 1,
-      competitionId: Number(competitionId),
-      competitionName: comp ? comp.name : "Unknown",
-      competitionColor: comp?.color || "#888888",
-      teamA,
-      teamB,
-      kickoff,
-      result: { winner: null, margin: null },
-    };
 
-    matches.push(newMatch);
-    await writeJSON("matches.json", matches);
+    let newMatch;
+    await repos.matches.update(async (matches) => {
+      newMatch = {
+        id: matches.length ? Math.max(...matches.map((m) => m.id)) + 1 : 1,
+        competitionId: Number(competitionId),
+        competitionName: comp ? comp.name : "Unknown",
+        competitionColor: comp?.color || "#888888",
+        teamA,
+        teamB,
+        kickoff,
+        result: { winner: null, margin: null, scoreA: null, scoreB: null },
+      };
+      matches.push(newMatch);
+      await refreshRounds(newMatch.competitionId, matches);
+      return matches;
+    });
     res.status(201).json(newMatch);
   } catch (err) {
     console.error("❌ Add match failed:", err);
@@ -1082,17 +1929,86 @@ app.post("/api/matches", authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// A full-time score is enough to set the result: derive winner + margin from it.
+// Otherwise a winner given by hand is stored in the match's own spelling (or "draw").
+// Scores and margin must be non-negative whole numbers; blank ones count as not given.
+// Returns { result }, { error }, or {} when `r` holds neither.
+function resultFromInput(r, match) {
+  const given = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+  const isCount = (v) =>
+    given(v) && (typeof v === "number" || typeof v === "string") && Number.isInteger(Number(v)) && Number(v) >= 0;
+
+  if (given(r.scoreA) || given(r.scoreB)) {
+    if (!isCount(r.scoreA) || !isCount(r.scoreB)) {
+      return { error: "scoreA and scoreB must both be non-negative whole numbers" };
+    }
+    return { result: resultFromScores(match.teamA, match.teamB, r.scoreA, r.scoreB) };
+  }
+  if (r.winner) {
+    const winner = matchWinnerName(r.winner, match);
+    if (!winner) return { error: `winner must be "${match.teamA}", "${match.teamB}" or "${DRAW}"` };
+    if (given(r.margin) && !isCount(r.margin)) return { error: "margin must be a non-negative whole number" };
+    const margin = winner === DRAW ? 0 : given(r.margin) ? Number(r.margin) : null;
+    return { result: { ...r, winner, margin, scoreA: null, scoreB: null } };
+  }
+  return {};
+}
+
 // Edit a match
-app.put("/api/matches/:id", authenticateToken, requireAdmin, async (req, res) => {
+// roundId: <id> pins the match to that round; roundId: null hands it back to
+// automatic (weekend) grouping.
+app.put("/api/matches/:id", authenticateToken, requireCompetitionAdmin(competitionOfMatch), async (req, res) => {
   try {
     const matchId = Number(req.params.id);
-    const matches = await readJSON("matches.json");
-    const idx = matches.findIndex((m) => m.id === matchId);
-    if (idx === -1) return res.status(404).json({ error: "Match not found" });
+    if (req.body.competitionId !== undefined && !canManageCompetition(req.user, req.body.competitionId)) {
+      return res.status(403).json({ error: "Not an admin of this competition" });
+    }
+    const rounds = req.body.roundId != null ? await readJSON("rounds.json").catch(() => []) : [];
+
+    // the edit is applied to the latest copy of the match, so a result the
+    // scraper saved in the meantime isn't lost
+    let failure;
+    let updated;
+    let previousResult;
+    await repos.matches.update(async (matches) => {
+      const idx = matches.findIndex((m) => m.id === matchId);
+      if (idx === -1) {
+        failure = { status: 404, error: "Match not found" };
+        return undefined;
+      }
+      updated = { ...matches[idx], ...req.body, id: matchId };
+
+      if (req.body.result) {
+        const { result, error } = resultFromInput(req.body.result, updated);
+        if (error) {
+          failure = { status: 400, error: `result.${error}` };
+          return undefined;
+        }
+        if (result) updated.result = result;
+      }
+
+      if (req.body.roundId === null) {
+        delete updated.roundSource;
+      } else if (req.body.roundId !== undefined) {
+        const round = rounds.find((r) => r.id === Number(req.body.roundId));
+        if (!round || round.competitionId !== updated.competitionId) {
+          failure = { status: 400, error: "roundId must be a round of the match's competition" };
+          return undefined;
+        }
+        updated.roundId = round.id;
+        updated.roundSource = "manual";
+      }
+
+      previousResult = matches[idx].result;
+      matches[idx] = updated;
+      await refreshRounds(updated.competitionId, matches);
+      return matches;
+    });
+    if (failure) return res.status(failure.status).json({ error: failure.error });
 
-    const updated = { ...matches[idx], ...req.body, id: matchId };
-    matches[idx] = updated;
-    await writeJSON("matches.json", matches);
+    if (resultChanged(previousResult, updated.result)) {
+      await onResultsChanged([matchId], "match-edit");
+    }
     res.json(updated);
   } catch (err) {
     console.error("❌ Update match failed:", err);
@@ -1100,50 +2016,292 @@ app.put("/api/matches/:id", authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-// Delete a match
-app.delete("/api/matches/:id", authenticateToken, requireAdmin, async (req, res) => {
+// Set a match result — for competition admins, and for bots with a write:results key.
+// Body: { scoreA, scoreB } or { winner, margin }
+app.post("/api/matches/:id/result", authenticateTokenOrApiKey("write:results"), requireCompetitionAdmin(competitionOfMatch), async (req, res) => {
   try {
     const matchId = Number(req.params.id);
-    const matches = await readJSON("matches.json");
-    const idx = matches.findIndex((m) => m.id === matchId);
-    if (idx === -1) return res.status(404).json({ error: "Match not found" });
+    const { scoreA = null, scoreB = null, winner = null, margin = null } = req.body;
+
+    let failure;
+    let match;
+    let previousResult;
+    await repos.matches.update((matches) => {
+      const idx = matches.findIndex((m) => m.id === matchId);
+      if (idx === -1) {
+        failure = { status: 404, error: "Match not found" };
+        return undefined;
+      }
+      const { result, error } = resultFromInput(
+        { scoreA, scoreB, winner, margin },
+        matches[idx]
+      );
+      if (error || !result) {
+        failure = { status: 400, error: error || "scoreA and scoreB, or winner, required" };
+        return undefined;
+      }
+
+      previousResult = matches[idx].result;
+      match = matches[idx] = { ...matches[idx], result };
+      return matches;
+    });
+    if (failure) return res.status(failure.status).json({ error: failure.error });
 
-    matches.splice(idx, 1);
-    await writeJSON("matches.json", matches);
+    const { result } = match;
+
+    const by = req.apiKey ? `API key "${req.apiKey.name}"` : req.user.email;
+    console.log(`🏉 Result for match ${matchId} set by ${by}: ${result.winner} (${result.margin ?? "?"})`);
+
+    if (resultChanged(previousResult, result)) {
+      await onResultsChanged([matchId], req.apiKey ? "api-key" : "match-result");
+    }
+    res.json(match);
+  } catch (err) {
+    console.error("❌ Set match result failed:", err);
+    res.status(500).json({ error: "Failed to set result" });
+  }
+});
+
+// Delete a match
+app.delete("/api/matches/:id", authenticateToken, requireCompetitionAdmin(competitionOfMatch), async (req, res) => {
+  try {
+    const matchId = Number(req.params.id);
+    let removed;
+    await repos.matches.update(async (matches) => {
+      const idx = matches.findIndex((m) => m.id === matchId);
+      if (idx === -1) return undefined;
+      [removed] = matches.splice(idx, 1);
+      await refreshRounds(removed.competitionId, matches);
+      return matches;
+    });
+    if (!removed) return res.status(404).json({ error: "Match not found" });
     res.json({ success: true });
   } catch (err) {
     console.error("❌ Delete match failed:", err);
     res.status(500).json({ error: "Failed to delete match" });
   }
 });
-// ==================== PREDICTIONS ====================
-// GET /api/predictions
-// - normal users: their own predictions
-// - admins: pass ?all=1 to see everyone
-// - pass ?expand=1 to embed match and user objects
-app.get("/api/predictions", authenticateToken, async (req, res) => {
-  res.set("Cache-Control", "no-store");   // 👈 add this
-  try {
-    const { all, expand } = req.query;
-    let predictions = await readJSON("predictions.json");
+// ==================== ROUNDS ====================
+// Rounds live in rounds.json; see utils/rounds.js for the shape.
+
+// Re-derive a competition's automatic rounds after its matches changed.
+// Sets roundId on `matches`, so call it inside repos.matches.update before they
+// are saved (matches.json is always locked before rounds.json).
+async function refreshRounds(competitionId, matches) {
+  return updateJSON("rounds.json", (rounds) => assignRounds(competitionId, matches, rounds), { fallback: [] });
+}
 
-    const isAdmin = !!req.user?.isAdmin;
-    if (!isAdmin || all !== "1") {
-      predictions = predictions.filter((p) => p.userId === req.user.id);
-    }
+function validateDeadline(deadline) {
+  if (deadline === undefined || deadline === null) return null;
+  return isNaN(new Date(deadline)) ? "deadline must be an ISO date or null" : null;
+}
 
-    if (expand === "1") {
-      const [matches, users] = await Promise.all([
-        readJSON("matches.json"),
-        readJSON("users.json"),
-      ]);
-      const matchById = new Map(matches.map((m) => [m.id, m]));
-      const userById  = new Map(users.map((u) => [u.id, u]));
-      predictions = predictions.map((p) => ({
-        ...p,
-        match: matchById.get(p.matchId) || null,
-        user:  userById.get(p.userId)  || null,
-      }));
+// List a competition's rounds (with match counts)
+app.get("/api/competitions/:id/rounds", allowApiKey("read:matches"), async (req, res) => {
+  try {
+    const competitionId = Number(req.params.id);
+    const [rounds, matches] = await Promise.all([
+      readJSON("rounds.json").catch(() => []),
+      repos.matches.all(),
+    ]);
+    const out = rounds
+      .filter((r) => r.competitionId === competitionId)
+      .sort((a, b) => a.number - b.number)
+      .map((r) => ({ ...r, matchCount: matches.filter((m) => m.roundId === r.id).length }));
+    res.json(out);
+  } catch (err) {
+    console.error("❌ /api/competitions/:id/rounds error:", err);
+    res.status(500).json({ error: "Failed to load rounds" });
+  }
+});
+
+// Rebuild a competition's automatic rounds from kickoffs (competition admin)
+app.post("/api/competitions/:id/rounds/rebuild", authenticateToken, requireCompetitionAdmin(competitionFromParam), async (req, res) => {
+  try {
+    const competitionId = Number(req.params.id);
+    let rounds;
+    await repos.matches.update(async (matches) => {
+      rounds = await refreshRounds(competitionId, matches);
+      return matches;
+    });
+    res.json({ success: true, rounds: rounds.filter((r) => r.competitionId === competitionId) });
+  } catch (err) {
+    console.error("❌ Rebuild rounds failed:", err);
+    res.status(500).json({ error: "Failed to rebuild rounds" });
+  }
+});
+
+// Create a round by hand (competition admin)
+// Body: { name, deadline?, matchIds?: number[] }
+app.post("/api/competitions/:id/rounds", authenticateToken, requireCompetitionAdmin(competitionFromParam), async (req, res) => {
+  try {
+    const competitionId = Number(req.params.id);
+    const { name, deadline, matchIds = [] } = req.body;
+    if (!name) return res.status(400).json({ error: "Missing round name" });
+    const deadlineError = validateDeadline(deadline);
+    if (deadlineError) return res.status(400).json({ error: deadlineError });
+
+    const competitions = await repos.competitions.all();
+    if (!competitions.some((c) => c.id === competitionId)) {
+      return res.status(404).json({ error: "Competition not found" });
+    }
+
+    let round;
+    let updatedRounds;
+    await repos.matches.update(async (matches) => {
+      await updateJSON(
+        "rounds.json",
+        (rounds) => {
+          round = {
+            id: rounds.length ? Math.max(...rounds.map((r) => r.id)) + 1 : 1,
+            competitionId,
+            name,
+            deadline: deadline || null,
+            source: "manual",
+          };
+          return [...rounds, round];
+        },
+        { fallback: [] }
+      );
+
+      const ids = new Set(matchIds.map(Number));
+      for (const m of matches) {
+        if (m.competitionId === competitionId && ids.has(m.id)) {
+          m.roundId = round.id;
+          m.roundSource = "manual";
+        }
+      }
+      updatedRounds = await refreshRounds(competitionId, matches);
+      return matches;
+    });
+
+    res.status(201).json(updatedRounds.find((r) => r.id === round.id));
+  } catch (err) {
+    console.error("❌ Create round failed:", err);
+    res.status(500).json({ error: "Failed to create round" });
+  }
+});
+
+// Update a round's name / deadline (competition admin). Renaming makes it a manual round.
+app.put("/api/rounds/:id", authenticateToken, requireCompetitionAdmin(competitionOfRound), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { name, deadline } = req.body;
+    const deadlineError = validateDeadline(deadline);
+    if (deadlineError) return res.status(400).json({ error: deadlineError });
+
+    let round = null;
+    await repos.matches.update(async (matches) => {
+      let pinned = false;
+      await updateJSON(
+        "rounds.json",
+        (rounds) => {
+          const idx = rounds.findIndex((r) => r.id === id);
+          if (idx === -1) return undefined;
+
+          if (name !== undefined && rounds[idx].source !== "manual") {
+            // pin its matches so automatic grouping doesn't take them back
+            for (const m of matches) {
+              if (m.roundId === id) m.roundSource = "manual";
+            }
+            pinned = true;
+          }
+          if (name !== undefined) rounds[idx] = { ...rounds[idx], name, source: "manual" };
+          if (deadline !== undefined) rounds[idx] = { ...rounds[idx], deadline: deadline || null };
+          round = rounds[idx];
+          return rounds;
+        },
+        { fallback: [] }
+      );
+      return pinned ? matches : undefined;
+    });
+    if (!round) return res.status(404).json({ error: "Round not found" });
+    res.json(round);
+  } catch (err) {
+    console.error("❌ Update round failed:", err);
+    res.status(500).json({ error: "Failed to update round" });
+  }
+});
+
+// Delete a round (competition admin). Its matches go back to automatic grouping.
+app.delete("/api/rounds/:id", authenticateToken, requireCompetitionAdmin(competitionOfRound), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    let round = null;
+    await repos.matches.update(async (matches) => {
+      await updateJSON(
+        "rounds.json",
+        (rounds) => {
+          round = rounds.find((r) => r.id === id);
+          return round ? rounds.filter((r) => r.id !== id) : undefined;
+        },
+        { fallback: [] }
+      );
+      if (!round) return undefined;
+
+      for (const m of matches) {
+        if (m.roundId === id) {
+          delete m.roundId;
+          delete m.roundSource;
+        }
+      }
+      await refreshRounds(round.competitionId, matches);
+      return matches;
+    });
+    if (!round) return res.status(404).json({ error: "Round not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete round failed:", err);
+    res.status(500).json({ error: "Failed to delete round" });
+  }
+});
+
+// ==================== PREDICTIONS ====================
+// Only the fields other players may see about a user
+function publicUser(u) {
+  return u ? { id: u.id, firstname: u.firstname || "", surname: u.surname || "" } : null;
+}
+
+// Embed match and user objects on each prediction (the ?expand=1 shape).
+// Pass { publicUsers: true } when showing other players' picks.
+async function expandPredictions(predictions, { publicUsers = false } = {}) {
+  const [matches, users] = await Promise.all([
+    repos.matches.all(),
+    repos.users.all(),
+  ]);
+  const matchById = new Map(matches.map((m) => [m.id, m]));
+  const userById  = new Map(users.map((u) => [u.id, u]));
+  return predictions.map((p) => {
+    const match = matchById.get(p.matchId) || null;
+    // user records carry password and token hashes — only safeUser() output goes out
+    const user = userById.has(p.userId) ? safeUser(userById.get(p.userId)) : null;
+    return {
+      ...p,
+      scoreA: p.scoreA ?? null,
+      scoreB: p.scoreB ?? null,
+      match: match && {
+        ...match,
+        result: { scoreA: null, scoreB: null, ...match.result },
+      },
+      user: publicUsers ? publicUser(user) : user,
+    };
+  });
+}
+
+// GET /api/predictions
+// - normal users: their own predictions
+// - admins: pass ?all=1 to see everyone
+// - pass ?expand=1 to embed match and user objects
+app.get("/api/predictions", authenticateToken, async (req, res) => {
+  res.set("Cache-Control", "no-store");   // 👈 add this
+  try {
+    const { all, expand } = req.query;
+    let predictions = hasRole(req.user, "admin") && all === "1"
+      ? await repos.predictions.all()
+      : await repos.predictions.find({ userId: req.user.id });
+
+    if (expand === "1") {
+      predictions = await expandPredictions(predictions);
     }
 
     res.json(predictions);
@@ -1153,56 +2311,211 @@ app.get("/api/predictions", authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/matches/:id/predictions
+// Everyone's picks for one match — hidden until kickoff so nobody can copy.
+// - before kickoff: { revealed: false, revealsAt, count }
+// - from kickoff:   { revealed: true, count, predictions: [...expanded, user names only] }
+app.get("/api/matches/:id/predictions", authenticateToken, async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const matchId = Number(req.params.id);
+    const [matches, forMatch] = await Promise.all([
+      repos.matches.all(),
+      repos.predictions.find({ matchId }),
+    ]);
+
+    const match = matches.find((m) => m.id === matchId);
+    if (!match) return res.status(404).json({ error: "Match not found" });
+
+    const kickoff = new Date(match.kickoff);
+    const revealed = !isNaN(kickoff) && new Date() >= kickoff;
+
+    if (!revealed) {
+      return res.json({
+        matchId,
+        revealed: false,
+        revealsAt: isNaN(kickoff) ? null : kickoff.toISOString(),
+        count: forMatch.length,
+      });
+    }
+
+    res.json({
+      matchId,
+      revealed: true,
+      count: forMatch.length,
+      predictions: await expandPredictions(forMatch, { publicUsers: true }),
+    });
+  } catch (err) {
+    console.error("❌ /api/matches/:id/predictions error:", err);
+    res.status(500).json({ error: "Failed to load match predictions" });
+  }
+});
+
 // ==================== PREDICTIONS (WRITE) ====================
+// Check optional scoreA/scoreB on a prediction item.
+// Returns an error message, or null if there's no score or it's consistent.
+function validatePredictedScore(p, match) {
+  const hasA = p.scoreA !== undefined && p.scoreA !== null;
+  const hasB = p.scoreB !== undefined && p.scoreB !== null;
+  if (!hasA && !hasB) return null;
+  if (hasA !== hasB) return "scoreA and scoreB must be given together";
+
+  const a = Number(p.scoreA);
+  const b = Number(p.scoreB);
+  if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0) {
+    return "scoreA/scoreB must be non-negative whole numbers";
+  }
+
+  const implied = resultFromScores(match.teamA, match.teamB, a, b);
+  if (implied.winner !== matchWinnerName(p.predictedWinner, match)) {
+    return "scoreA/scoreB don't agree with predictedWinner";
+  }
+  if (p.margin !== undefined && Number(p.margin) !== implied.margin) {
+    return "scoreA/scoreB don't agree with margin";
+  }
+  return null;
+}
+
 // Save/replace predictions for the authenticated user.
 // Accepts an object or an array like:
-// { matchId:number, predictedWinner:string, margin:number }
+// { matchId:number, predictedWinner:string, margin:number, scoreA?:number, scoreB?:number }
+// predictedWinner is one of the match's teams or "draw" (a draw's margin is 0).
+// scoreA/scoreB are optional (exact-score bonus) and must agree with the winner/margin.
+// joker:true marks the user's joker for that round (points multiplied by the
+// competition's jokerMultiplier); only one joker per user per round.
+//
+// Each item is checked on its own: matches that have kicked off (or passed
+// their competition's lock time) or already have a result are rejected and
+// listed in `rejected` with a reason; the rest are saved.
 app.post("/api/predictions", authenticateToken, async (req, res) => {
   try {
-    //load predicitons
-    const loadPredictions = async () => {
-      try {
-        // requires admin JWT; your apiFetch adds the Authorization header
-        const data = await apiFetch("/predictions?all=1&expand=1");
-        setPredictions(data);
-      } catch (err) {
-        console.error("❌ Failed to load predictions", err);
-      }
-    };
     const items = Array.isArray(req.body) ? req.body : [req.body];
+    if (items.length > MAX_PREDICTIONS_PER_REQUEST) {
+      return res.status(413).json({ error: `At most ${MAX_PREDICTIONS_PER_REQUEST} predictions per request` });
+    }
 
-    const valid = items.filter((p) =>
-      p &&
-      Number.isFinite(+p.matchId) &&
-      typeof p.predictedWinner === "string" &&
-      (p.margin === undefined || Number.isFinite(+p.margin))
-    );
+    const [matches, competitions, rounds] = await Promise.all([
+      repos.matches.all(),
+      repos.competitions.all(),
+      readJSON("rounds.json").catch(() => []),
+    ]);
+    const matchById = new Map(matches.map((m) => [m.id, m]));
+    const compById = new Map(competitions.map((c) => [c.id, c]));
+    const roundById = new Map(rounds.map((r) => [r.id, r]));
+    const now = new Date();
+
+    const valid = [];
+    const rejected = [];
+    const seenIds = new Set();
+
+    for (const p of items) {
+      const matchId = p && Number.isFinite(+p.matchId) ? Number(p.matchId) : null;
+      const reject = (reason) => rejected.push({ matchId: matchId ?? p?.matchId ?? null, reason });
+
+      if (matchId === null) { reject("Invalid matchId"); continue; }
+      // one pick per match per request — the first one counts
+      if (seenIds.has(matchId)) { reject("Duplicate matchId in payload"); continue; }
+      seenIds.add(matchId);
+      if (typeof p.predictedWinner !== "string") { reject("predictedWinner must be a string"); continue; }
+      if (p.margin !== undefined && !Number.isFinite(+p.margin)) { reject("margin must be a number"); continue; }
+      if (p.joker !== undefined && typeof p.joker !== "boolean") { reject("joker must be true or false"); continue; }
+
+      const match = matchById.get(matchId);
+      if (!match) { reject("Match not found"); continue; }
+
+      const predictedWinner = matchWinnerName(p.predictedWinner, match);
+      if (!predictedWinner) {
+        reject(`predictedWinner must be "${match.teamA}", "${match.teamB}" or "${DRAW}"`);
+        continue;
+      }
+      if (predictedWinner === DRAW && p.margin !== undefined && Number(p.margin) !== 0) {
+        reject("A draw prediction can't have a margin");
+        continue;
+      }
 
-    if (valid.length === 0) {
-      return res.status(400).json({ error: "No valid predictions in payload" });
+      const scoreError = validatePredictedScore(p, match);
+      if (scoreError) { reject(scoreError); continue; }
+
+      const lockReason = getLockReason(
+        match,
+        compById.get(match.competitionId),
+        matches,
+        now,
+        roundById.get(match.roundId)
+      );
+      if (lockReason) { reject(lockReason); continue; }
+
+      valid.push({ ...p, matchId, predictedWinner });
     }
 
     const userId = req.user.id;
-    let predictions = await readJSON("predictions.json");
+    const replacingIds = new Set(valid.map((p) => p.matchId));
+    let saved = [];
+
+    // The joker check reads the user's other predictions, so it runs under the
+    // same lock as the write — two requests can't each play a joker in one round.
+    await repos.predictions.update((all) => {
+      const own = all.filter((p) => Number(p.userId) === userId);
+
+      // One joker per user per round: seed with the user's jokers that aren't being replaced
+      const jokerByRound = new Map();
+      for (const p of own) {
+        if (!p.joker || replacingIds.has(Number(p.matchId))) continue;
+        const m = matchById.get(Number(p.matchId));
+        if (m) jokerByRound.set(roundKeyFor(m), m.id);
+      }
 
-    // replace current user's predictions for those matchIds
-    const incomingIds = new Set(valid.map((p) => Number(p.matchId)));
-    predictions = predictions.filter(
-      (p) => !(p.userId === userId && incomingIds.has(Number(p.matchId)))
-    );
+      const accepted = [];
+      for (const item of valid) {
+        // no joker field → the pick keeps the joker it already has
+        const existing = own.find((p) => Number(p.matchId) === item.matchId);
+        const p = { ...item, joker: item.joker ?? existing?.joker === true };
+        if (p.joker) {
+          const key = roundKeyFor(matchById.get(p.matchId));
+          if (jokerByRound.has(key)) {
+            rejected.push({
+              matchId: p.matchId,
+              reason: `Joker already used this round (match ${jokerByRound.get(key)})`,
+            });
+            continue;
+          }
+          jokerByRound.set(key, p.matchId);
+        }
+        accepted.push(p);
+      }
+      if (accepted.length === 0) return undefined;
 
-    const toAdd = valid.map((p) => ({
-      userId,
-      matchId: Number(p.matchId),
-      predictedWinner: String(p.predictedWinner),
-      margin: p.margin !== undefined ? Number(p.margin) : null,
-      createdAt: new Date().toISOString(),
-    }));
+      saved = accepted.map((p) => {
+        const hasScore = p.scoreA !== undefined && p.scoreA !== null;
+        return {
+          userId,
+          matchId: Number(p.matchId),
+          predictedWinner: p.predictedWinner,
+          margin: p.predictedWinner === DRAW
+            ? 0
+            : p.margin !== undefined
+              ? Number(p.margin)
+              : hasScore ? Math.abs(p.scoreA - p.scoreB) : null,
+          ...(hasScore && { scoreA: Number(p.scoreA), scoreB: Number(p.scoreB) }),
+          joker: p.joker === true,
+          createdAt: new Date().toISOString(),
+        };
+      });
 
-    predictions.push(...toAdd);
-    await writeJSON("predictions.json", predictions);
+      // replaces the user's existing prediction for each match (keyed by userId + matchId)
+      for (const record of saved) {
+        const i = all.findIndex((p) => Number(p.userId) === userId && Number(p.matchId) === record.matchId);
+        if (i === -1) all.push(record);
+        else all[i] = record;
+      }
+      return all;
+    });
 
-    res.json({ success: true, saved: toAdd.length });
+    if (saved.length === 0) {
+      return res.status(400).json({ error: "No valid predictions in payload", rejected });
+    }
+
+    res.json({ success: true, saved: saved.length, rejected });
   } catch (err) {
     console.error("❌ POST /api/predictions failed:", err);
     res.status(500).json({ error: "Failed to save predictions" });
@@ -1212,8 +2525,7 @@ app.post("/api/predictions", authenticateToken, async (req, res) => {
 // POST /api/admin/relink-matches  (admin only)
 app.post("/api/admin/relink-matches", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const predictions = await readJSON("predictions.json");
-    const matches     = await readJSON("matches.json");
+    const matches     = await repos.matches.all();
 
     // Helper for fuzzy compare
     const norm = s => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
@@ -1223,17 +2535,20 @@ app.post("/api/admin/relink-matches", authenticateToken, requireAdmin, async (re
 
     const byKey = new Map(matches.map(m => [mKey(m), m.id]));
 
-    for (const p of predictions) {
-      if (!p.matchId && p.teamA && p.teamB) {
-        const id = byKey.get(`${norm(p.teamA)}|${norm(p.teamB)}`);
-        if (id) {
-          p.matchId = id;
-          linked++;
+    // linking changes a prediction's key (userId + matchId), so rewrite the
+    // collection under its lock rather than upserting
+    const predictions = await repos.predictions.update((all) => {
+      for (const p of all) {
+        if (!p.matchId && p.teamA && p.teamB) {
+          const id = byKey.get(`${norm(p.teamA)}|${norm(p.teamB)}`);
+          if (id) {
+            p.matchId = id;
+            linked++;
+          }
         }
       }
-    }
-
-    if (linked > 0) await writeJSON("predictions.json", predictions);
+      return linked > 0 ? all : undefined;
+    });
 
     res.json({ linked, total: predictions.length });
   } catch (err) {
@@ -1242,138 +2557,682 @@ app.post("/api/admin/relink-matches", authenticateToken, requireAdmin, async (re
   }
 });
 
-// ==================== LEADERBOARD / SCORING ====================
+// ==================== SEASONS ====================
+// Seasons group competitions (seasons.json, see utils/seasons.js).
+// Closing one writes its final standings to season-archives.json for good.
 
-// ==================== LEADERBOARD / SCORING ====================
-// We assume at top of server.js you already have:
-//   import calculatePoints from "./scoring.js";
-// and you already have readJSON / writeJSON helpers.
+app.get("/api/seasons", async (req, res) => {
+  try {
+    res.json(await readJSON("seasons.json").catch(() => []));
+  } catch (err) {
+    console.error("❌ /api/seasons error:", err);
+    res.status(500).json({ error: "Failed to load seasons" });
+  }
+});
 
-// ADMIN: recompute prediction points + leaderboard
-app.post(
-  "/api/admin/recalc-leaderboard",
-  authenticateToken,
-  requireAdmin,
-  async (req, res) => {
-    try {
-      // 1. Load all data
-      const [predictions, matches, users] = await Promise.all([
-        readJSON("predictions.json"),
-        readJSON("matches.json"),
-        readJSON("users.json"),
-      ]);
+app.get("/api/seasons/:id", async (req, res) => {
+  try {
+    const seasons = await readJSON("seasons.json").catch(() => []);
+    const season = seasons.find((s) => s.id === Number(req.params.id));
+    if (!season) return res.status(404).json({ error: "Season not found" });
+    res.json(season);
+  } catch (err) {
+    console.error("❌ /api/seasons/:id error:", err);
+    res.status(500).json({ error: "Failed to load season" });
+  }
+});
 
-      // Index matches by id for fast lookup
-      const matchById = new Map(matches.map((m) => [m.id, m]));
+// Season table: live while open, the frozen archive once closed
+app.get("/api/seasons/:id/leaderboard", allowApiKey("read:leaderboard"), async (req, res) => {
+  try {
+    const seasons = await readJSON("seasons.json").catch(() => []);
+    const season = seasons.find((s) => s.id === Number(req.params.id));
+    if (!season) return res.status(404).json({ error: "Season not found" });
+
+    if (season.status === "closed") {
+      const archives = await readJSON("season-archives.json").catch(() => []);
+      const archive = archives.find((a) => a.seasonId === season.id);
+      if (archive) return res.json(archive.standings);
+    }
 
-      // We'll build a running total per user
-      const totalsByUserId = {};
-      let touchedPredictions = 0;
+    const [users, predictions, matches] = await Promise.all([
+      repos.users.all().catch(() => []),
+      repos.predictions.all().catch(() => []),
+      repos.matches.all().catch(() => []),
+    ]);
+    res.json(seasonLeaderboard(season, { users, predictions, matches }));
+  } catch (err) {
+    console.error("❌ Season leaderboard failed:", err);
+    res.status(500).json({ error: "Failed to build season leaderboard" });
+  }
+});
 
-      for (const p of predictions) {
-        const match = matchById.get(p.matchId);
-        if (!match) {
-          // prediction refers to a match that doesn't exist anymore
-          continue;
-        }
+// Final standings of a closed season (overall + per competition)
+app.get("/api/seasons/:id/archive", allowApiKey("read:leaderboard"), async (req, res) => {
+  try {
+    const archives = await readJSON("season-archives.json").catch(() => []);
+    const archive = archives.find((a) => a.seasonId === Number(req.params.id));
+    if (!archive) return res.status(404).json({ error: "Season has not been closed" });
+    res.json(archive);
+  } catch (err) {
+    console.error("❌ Season archive failed:", err);
+    res.status(500).json({ error: "Failed to load season archive" });
+  }
+});
 
-        // Pull actual result info from match
-        const actualWinner = match?.result?.winner || null;
-
-        // actualMargin may be saved as a string "43" or number; normalize to number
-        const actualMarginNum = Number(match?.result?.margin);
-        const actualMargin = Number.isFinite(actualMarginNum)
-          ? actualMarginNum
-          : null;
-
-        // Predicted values (also normalizing margin to number)
-        const predictedWinner = p.predictedWinner || null;
-        const predictedMarginNum = Number(p.margin);
-        const predictedMargin = Number.isFinite(predictedMarginNum)
-          ? predictedMarginNum
-          : null;
-
-        // Use shared scoring logic
-        // calculatePoints() should return { points, correctWinner }
-        const { points, correctWinner } = calculatePoints(
-          predictedWinner,
-          predictedMargin,
-          actualWinner,
-          actualMargin
-        );
-
-        // If points changed (or weren't set), update this prediction entry
-        if (p.points !== points) {
-          p.points = points;
-          touchedPredictions++;
-        }
-        // Optional: track if they were right, for analytics
-        p.correctWinner = !!correctWinner;
+// Admin: create a season — body: { name, competitionIds?, startsOn?, endsOn? }
+app.post("/api/seasons", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ error: "Season name required" });
+
+    const competitions = await repos.competitions.all();
+    let error = null;
+    let season = null;
+    await updateJSON(
+      "seasons.json",
+      (seasons) => {
+        if ((error = validateSeason(req.body, { competitions, seasons }))) return undefined;
+        season = {
+          id: seasons.length ? Math.max(...seasons.map((s) => s.id)) + 1 : 1,
+          name,
+          competitionIds: (req.body.competitionIds || []).map(Number),
+          startsOn: req.body.startsOn || null,
+          endsOn: req.body.endsOn || null,
+          status: "open",
+          createdAt: new Date().toISOString(),
+          closedAt: null,
+        };
+        return [...seasons, season];
+      },
+      { fallback: [] }
+    );
+    if (error) return res.status(400).json({ error });
+    res.status(201).json(season);
+  } catch (err) {
+    console.error("❌ Create season failed:", err);
+    res.status(500).json({ error: "Failed to create season" });
+  }
+});
 
-        // Accumulate leaderboard totals
-        if (!totalsByUserId[p.userId]) {
-          const u = users.find((u) => u.id === p.userId) || {};
-          totalsByUserId[p.userId] = {
-            userId: p.userId,
-            firstname: u.firstname || "",
-            surname: u.surname || "",
-            email: u.email || "",
-            totalPoints: 0,
-            correctPicks: 0,
-            predictionsMade: 0,
-          };
+// Admin: edit an open season (name, dates, competitionIds)
+app.put("/api/seasons/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const competitions = await repos.competitions.all();
+    let season = null;
+    let failure = null;
+    await updateJSON(
+      "seasons.json",
+      (seasons) => {
+        season = seasons.find((s) => s.id === Number(req.params.id));
+        if (!season) return undefined;
+        if (season.status === "closed") {
+          failure = { status: 409, error: "Season is closed" };
+          return undefined;
         }
-
-        totalsByUserId[p.userId].totalPoints += points || 0;
-        totalsByUserId[p.userId].predictionsMade += 1;
-        if (correctWinner) {
-          totalsByUserId[p.userId].correctPicks += 1;
+        const error = validateSeason(req.body, { competitions, seasons, seasonId: season.id });
+        if (error) {
+          failure = { status: 400, error };
+          return undefined;
         }
+
+        if (req.body.name !== undefined) season.name = String(req.body.name).trim();
+        if (req.body.startsOn !== undefined) season.startsOn = req.body.startsOn;
+        if (req.body.endsOn !== undefined) season.endsOn = req.body.endsOn;
+        if (req.body.competitionIds !== undefined) season.competitionIds = req.body.competitionIds.map(Number);
+        return seasons;
+      },
+      { fallback: [] }
+    );
+    if (!season) return res.status(404).json({ error: "Season not found" });
+    if (failure) return res.status(failure.status).json({ error: failure.error });
+    res.json(season);
+  } catch (err) {
+    console.error("❌ Update season failed:", err);
+    res.status(500).json({ error: "Failed to update season" });
+  }
+});
+
+// Admin: delete an open season (closed seasons and their archives stay)
+app.delete("/api/seasons/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let season = null;
+    await updateJSON(
+      "seasons.json",
+      (seasons) => {
+        season = seasons.find((s) => s.id === Number(req.params.id));
+        if (!season || season.status === "closed") return undefined;
+        return seasons.filter((s) => s.id !== season.id);
+      },
+      { fallback: [] }
+    );
+    if (!season) return res.status(404).json({ error: "Season not found" });
+    if (season.status === "closed") return res.status(409).json({ error: "Closed seasons can't be deleted" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete season failed:", err);
+    res.status(500).json({ error: "Failed to delete season" });
+  }
+});
+
+// Admin: close the season — freeze the standings and archive its competitions
+app.post("/api/seasons/:id/close", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [users, predictions, matches, competitions] = await Promise.all([
+      repos.users.all(),
+      repos.predictions.all(),
+      repos.matches.all(),
+      repos.competitions.all(),
+    ]);
+
+    // holding seasons.json for the whole close means it can only happen once
+    let season = null;
+    let archive = null;
+    await updateJSON(
+      "seasons.json",
+      async (seasons) => {
+        season = seasons.find((s) => s.id === Number(req.params.id));
+        if (!season || season.status === "closed") return undefined;
+
+        archive = buildSeasonArchive(season, { users, predictions, matches, competitions });
+        await updateJSON("season-archives.json", (archives) => [...archives, archive], { fallback: [] });
+
+        season.status = "closed";
+        season.closedAt = archive.closedAt;
+        return seasons;
+      },
+      { fallback: [] }
+    );
+    if (!season) return res.status(404).json({ error: "Season not found" });
+    if (!archive) return res.status(409).json({ error: "Season is already closed" });
+
+    await repos.competitions.update((current) => {
+      for (const comp of current) {
+        if (season.competitionIds.includes(comp.id)) comp.isArchived = true;
       }
+      return current;
+    });
 
-      // 2. Save updated predictions with their new point values
-      await writeJSON("predictions.json", predictions);
+    console.log(`🏁 Season "${season.name}" closed — ${archive.standings.length} players archived`);
+    res.json({ success: true, season, archive });
+  } catch (err) {
+    console.error("❌ Close season failed:", err);
+    res.status(500).json({ error: "Failed to close season" });
+  }
+});
 
-      // 3. Build a sorted leaderboard array
-      const leaderboardArray = Object.values(totalsByUserId).sort(
-        (a, b) => b.totalPoints - a.totalPoints
-      );
+// ==================== LEAGUES ====================
+// Private mini-leagues (leagues.json, see utils/leagues.js).
+// Everything here is scoped to the logged-in user.
+
+// Load the league in :id, or send 404/403. Returns null if a response was sent.
+// Writes go through updateLeague, which works on a fresh copy.
+async function loadLeagueForMember(req, res) {
+  const leagues = await readJSON("leagues.json").catch(() => []);
+  const league = leagues.find((l) => l.id === Number(req.params.id));
+  if (!league) {
+    res.status(404).json({ error: "League not found" });
+    return null;
+  }
+  if (!isMember(league, req.user.id)) {
+    res.status(403).json({ error: "Not a member of this league" });
+    return null;
+  }
+  return { league };
+}
+
+// Change league `id` under the leagues.json lock: `change(league, leagues)` gets
+// the current copy (the one loadLeagueForMember returned may be stale by now).
+// Resolves to the changed league, or null if it no longer exists.
+async function updateLeague(id, change) {
+  let league = null;
+  await updateJSON(
+    "leagues.json",
+    (leagues) => {
+      league = leagues.find((l) => l.id === id);
+      if (!league) return undefined;
+      change(league, leagues);
+      return leagues;
+    },
+    { fallback: [] }
+  );
+  return league;
+}
 
-      // 4. Persist leaderboard to disk so /api/leaderboard can serve it
-      await writeJSON("leaderboard.json", leaderboardArray);
+function requireLeagueOwner(league, req, res) {
+  if (league.ownerId !== req.user.id) {
+    res.status(403).json({ error: "League owner only" });
+    return false;
+  }
+  return true;
+}
 
-      // 5. Send result back to frontend
-      return res.json({
-        success: true,
-        message: `Recalculated leaderboard. Updated ${touchedPredictions} predictions.`,
-        updatedPredictions: touchedPredictions,
-        leaderboardSize: leaderboardArray.length,
-      });
-    } catch (err) {
-      console.error("❌ Recalculate leaderboard failed:", err);
-      return res
-        .status(500)
-        .json({ error: "Failed to recalculate leaderboard" });
+// My leagues
+app.get("/api/leagues", authenticateToken, async (req, res) => {
+  try {
+    const [leagues, users] = await Promise.all([
+      readJSON("leagues.json").catch(() => []),
+      repos.users.all(),
+    ]);
+    res.json(
+      leagues
+        .filter((l) => isMember(l, req.user.id))
+        .map((l) => leagueView(l, req.user.id, users))
+    );
+  } catch (err) {
+    console.error("❌ /api/leagues error:", err);
+    res.status(500).json({ error: "Failed to load leagues" });
+  }
+});
+
+// Create a league — body: { name, competitionId? }
+app.post("/api/leagues", authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ error: "League name required" });
+
+    const { competitionId } = req.body;
+    const competitions = await repos.competitions.all();
+    if (competitionId && !competitions.some((c) => c.id === Number(competitionId))) {
+      return res.status(400).json({ error: "Competition not found" });
+    }
+
+    let league;
+    await updateJSON(
+      "leagues.json",
+      (leagues) => {
+        league = {
+          id: leagues.length ? Math.max(...leagues.map((l) => l.id)) + 1 : 1,
+          name,
+          ownerId: req.user.id,
+          inviteCode: generateInviteCode(leagues),
+          competitionId: competitionId ? Number(competitionId) : null,
+          memberIds: [req.user.id],
+          createdAt: new Date().toISOString(),
+        };
+        return [...leagues, league];
+      },
+      { fallback: [] }
+    );
+
+    const users = await repos.users.all();
+    res.status(201).json(leagueView(league, req.user.id, users));
+  } catch (err) {
+    console.error("❌ Create league failed:", err);
+    res.status(500).json({ error: "Failed to create league" });
+  }
+});
+
+// Join by invite code — body: { code }
+app.post("/api/leagues/join", authenticateToken, async (req, res) => {
+  try {
+    const code = normalizeInviteCode(req.body.code);
+    if (!code) return res.status(400).json({ error: "Invite code required" });
+
+    let league;
+    await updateJSON(
+      "leagues.json",
+      (leagues) => {
+        league = leagues.find((l) => l.inviteCode === code);
+        if (!league || isMember(league, req.user.id)) return undefined;
+        league.memberIds.push(req.user.id);
+        return leagues;
+      },
+      { fallback: [] }
+    );
+    if (!league) return res.status(404).json({ error: "Invalid invite code" });
+
+    const users = await repos.users.all();
+    res.json(leagueView(league, req.user.id, users));
+  } catch (err) {
+    console.error("❌ Join league failed:", err);
+    res.status(500).json({ error: "Failed to join league" });
+  }
+});
+
+app.get("/api/leagues/:id", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const users = await repos.users.all();
+    res.json(leagueView(loaded.league, req.user.id, users));
+  } catch (err) {
+    console.error("❌ /api/leagues/:id error:", err);
+    res.status(500).json({ error: "Failed to load league" });
+  }
+});
+
+// League table: the normal leaderboard restricted to members (and the
+// league's competition, if it has one). Accepts ?roundId, ?from, ?to.
+app.get("/api/leagues/:id/leaderboard", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    const { roundId, from, to } = req.query;
+
+    const [users, predictions, matches] = await Promise.all([
+      repos.users.all(),
+      repos.predictions.all(),
+      repos.matches.all(),
+    ]);
+
+    res.json(
+      buildLeaderboard({
+        users,
+        predictions,
+        matches,
+        filter: { competitionId: league.competitionId, roundId, from, to },
+        userIds: league.memberIds,
+      })
+    );
+  } catch (err) {
+    console.error("❌ League leaderboard failed:", err);
+    res.status(500).json({ error: "Failed to build league leaderboard" });
+  }
+});
+
+// Leave a league. The owner can't leave — delete the league instead.
+app.post("/api/leagues/:id/leave", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (league.ownerId === req.user.id) {
+      return res.status(400).json({ error: "Owner can't leave — delete the league instead" });
     }
+
+    await updateLeague(league.id, (current) => {
+      current.memberIds = current.memberIds.filter((id) => id !== req.user.id);
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Leave league failed:", err);
+    res.status(500).json({ error: "Failed to leave league" });
   }
-);
+});
 
-// PUBLIC/USER: get the current leaderboard
-app.get("/api/leaderboard", async (req, res) => {
+// Owner: remove a member
+app.delete("/api/leagues/:id/members/:userId", authenticateToken, async (req, res) => {
   try {
-    // Read the leaderboard we wrote above
-    const leaderboard = await readJSON("leaderboard.json");
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (!requireLeagueOwner(league, req, res)) return;
+
+    const userId = Number(req.params.userId);
+    if (userId === league.ownerId) {
+      return res.status(400).json({ error: "Owner can't be removed" });
+    }
+    if (!isMember(league, userId)) {
+      return res.status(404).json({ error: "User is not a member" });
+    }
 
-    // If for some reason it's empty, fall back to an empty array instead of 404
-    return res.json(leaderboard);
+    await updateLeague(league.id, (current) => {
+      current.memberIds = current.memberIds.filter((id) => id !== userId);
+    });
+    res.json({ success: true });
   } catch (err) {
-    console.error("❌ /api/leaderboard error:", err);
-    return res.status(500).json({ error: "Failed to load leaderboard" });
+    console.error("❌ Remove league member failed:", err);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// Owner: regenerate the invite code (old code stops working)
+app.post("/api/leagues/:id/invite-code", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (!requireLeagueOwner(league, req, res)) return;
+
+    const updated = await updateLeague(league.id, (current, leagues) => {
+      current.inviteCode = generateInviteCode(leagues);
+    });
+    if (!updated) return res.status(404).json({ error: "League not found" });
+    res.json({ inviteCode: updated.inviteCode });
+  } catch (err) {
+    console.error("❌ Regenerate invite code failed:", err);
+    res.status(500).json({ error: "Failed to regenerate invite code" });
+  }
+});
+
+// ---------- Head-to-head ----------
+// Owner: generate the round-robin H2H schedule over the competition's rounds.
+// Only rounds that haven't started are used unless body.includeStarted is true.
+// Regenerating replaces the old schedule (e.g. after members join).
+app.post("/api/leagues/:id/h2h/schedule", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (!requireLeagueOwner(league, req, res)) return;
+
+    if (!league.competitionId) {
+      return res.status(400).json({ error: "Head-to-head needs a league tied to a competition" });
+    }
+    if (league.memberIds.length < 2) {
+      return res.status(400).json({ error: "Head-to-head needs at least 2 members" });
+    }
+
+    const now = new Date();
+    const rounds = (await readJSON("rounds.json").catch(() => []))
+      .filter((r) => r.competitionId === league.competitionId)
+      .filter((r) => req.body.includeStarted === true || !r.startsAt || new Date(r.startsAt) > now)
+      .sort((a, b) => a.number - b.number);
+    if (!rounds.length) {
+      return res.status(400).json({ error: "No rounds available to schedule" });
+    }
+
+    const updated = await updateLeague(league.id, (current) => {
+      current.h2h = {
+        generatedAt: now.toISOString(),
+        schedule: buildSchedule(current.memberIds, rounds),
+      };
+    });
+    if (!updated) return res.status(404).json({ error: "League not found" });
+
+    console.log(`🤝 H2H schedule for league ${updated.id}: ${rounds.length} rounds, ${updated.memberIds.length} members`);
+    res.json({ success: true, rounds: rounds.length, h2h: updated.h2h });
+  } catch (err) {
+    console.error("❌ H2H schedule failed:", err);
+    res.status(500).json({ error: "Failed to generate head-to-head schedule" });
+  }
+});
+
+// H2H fixtures (with round points) and standings for a league
+app.get("/api/leagues/:id/h2h", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (!league.h2h) {
+      return res.status(404).json({ error: "No head-to-head schedule for this league" });
+    }
+
+    const [users, predictions, matches, rounds] = await Promise.all([
+      repos.users.all(),
+      repos.predictions.all(),
+      repos.matches.all(),
+      readJSON("rounds.json").catch(() => []),
+    ]);
+
+    const fixtures = scoreSchedule(league.h2h.schedule, { predictions, matches, rounds });
+    const scheduled = new Set(
+      league.h2h.schedule.flatMap((r) => [...r.fixtures.flatMap((f) => [f.homeId, f.awayId]), r.byeId])
+    );
+
+    res.json({
+      generatedAt: league.h2h.generatedAt,
+      standings: buildH2HStandings(fixtures, league.memberIds, users),
+      fixtures,
+      // members who joined after the schedule was generated
+      unscheduledMemberIds: league.memberIds.filter((id) => !scheduled.has(id)),
+    });
+  } catch (err) {
+    console.error("❌ H2H view failed:", err);
+    res.status(500).json({ error: "Failed to load head-to-head" });
+  }
+});
+
+// Owner: delete the league
+app.delete("/api/leagues/:id", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeagueForMember(req, res);
+    if (!loaded) return;
+    const { league } = loaded;
+    if (!requireLeagueOwner(league, req, res)) return;
+
+    await updateJSON("leagues.json", (leagues) => leagues.filter((l) => l.id !== league.id), { fallback: [] });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete league failed:", err);
+    res.status(500).json({ error: "Failed to delete league" });
+  }
+});
+
+// ==================== SURVIVOR ====================
+// Last-man-standing per competition (survivor.json, see utils/survivor.js).
+// Picks are settled by the result pipeline when results are applied.
+
+// Survivors, eliminated players and pick history
+app.get("/api/competitions/:id/survivor", authenticateToken, async (req, res) => {
+  try {
+    const competitionId = Number(req.params.id);
+    const [picks, matches, users] = await Promise.all([
+      readJSON("survivor.json").catch(() => []),
+      repos.matches.all(),
+      repos.users.all(),
+    ]);
+    res.json(survivorStatus({ picks, matches, users, competitionId, viewerId: req.user.id }));
+  } catch (err) {
+    console.error("❌ Survivor status failed:", err);
+    res.status(500).json({ error: "Failed to load survivor standings" });
+  }
+});
+
+// Make (or change) this round's pick — body: { matchId, team }
+app.post("/api/competitions/:id/survivor/picks", authenticateToken, async (req, res) => {
+  try {
+    const competitionId = Number(req.params.id);
+    const matches = await repos.matches.all();
+    const match = matches.find((m) => m.id === Number(req.body.matchId));
+
+    let error;
+    let pick;
+    let replaced = false;
+    await updateJSON(
+      "survivor.json",
+      (picks) => {
+        const checked = validateSurvivorPick({
+          picks,
+          matches,
+          userId: req.user.id,
+          competitionId,
+          match,
+          team: req.body.team,
+        });
+        if (checked.error) {
+          error = checked.error;
+          return undefined;
+        }
+
+        replaced = !!checked.current;
+        pick = checked.current || {
+          id: picks.length ? Math.max(...picks.map((p) => p.id)) + 1 : 1,
+          userId: req.user.id,
+          competitionId,
+          roundId: match.roundId,
+        };
+        Object.assign(pick, {
+          matchId: match.id,
+          team: checked.team,
+          outcome: "pending",
+          createdAt: new Date().toISOString(),
+          settledAt: null,
+        });
+        return replaced ? picks : [...picks, pick];
+      },
+      { fallback: [] }
+    );
+    if (error) return res.status(400).json({ error });
+
+    res.status(replaced ? 200 : 201).json(pick);
+  } catch (err) {
+    console.error("❌ Survivor pick failed:", err);
+    res.status(500).json({ error: "Failed to save survivor pick" });
+  }
+});
+
+// ==================== API KEYS ====================
+// Admin-minted keys for bots (see utils/apiKeys.js). The raw key is only
+// returned once, from POST; lists show the prefix and last-used time.
+
+app.get("/api/admin/api-keys", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const keys = await readJSON("api-keys.json").catch(() => []);
+    res.json(keys.map(apiKeyView));
+  } catch (err) {
+    console.error("❌ Error loading API keys:", err);
+    res.status(500).json({ error: "Failed to load API keys" });
+  }
+});
+
+// Body: { name, scopes: ["read:leaderboard", "read:matches", "write:results"] }
+app.post("/api/admin/api-keys", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const invalid = validateApiKeyInput({ name, scopes });
+    if (invalid) return res.status(400).json({ error: invalid, scopes: API_KEY_SCOPES });
+
+    let created;
+    await updateJSON(
+      "api-keys.json",
+      (keys) => {
+        created = createApiKey({ name, scopes, createdBy: req.user.id }, keys);
+        return [...keys, created.record];
+      },
+      { fallback: [] }
+    );
+    const { record, key } = created;
+
+    console.log(`🔑 API key "${record.name}" (${record.prefix}) created by ${req.user.email}: ${record.scopes.join(", ")}`);
+    res.status(201).json({ ...apiKeyView(record), key });
+  } catch (err) {
+    console.error("❌ Error creating API key:", err);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+// Revoke a key (kept for the record; it stops working at once)
+app.delete("/api/admin/api-keys/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let record;
+    let revoked = false;
+    await updateJSON(
+      "api-keys.json",
+      (keys) => {
+        record = keys.find((k) => k.id === Number(req.params.id));
+        if (!record || record.revokedAt) return undefined;
+        record.revokedAt = new Date().toISOString();
+        revoked = true;
+        return keys;
+      },
+      { fallback: [] }
+    );
+    if (!record) return res.status(404).json({ error: "API key not found" });
+
+    if (revoked) console.log(`🔒 API key "${record.name}" (${record.prefix}) revoked by ${req.user.email}`);
+    res.json(apiKeyView(record));
+  } catch (err) {
+    console.error("❌ Error revoking API key:", err);
+    res.status(500).json({ error: "Failed to revoke API key" });
   }
 });
 
 // ==================== DEBUG ROUTES ====================
-app.get("/api/debug/files", async (req, res) => {
+// Superadmin only — previews include users.json (emails, password hashes)
+app.get("/api/debug/files", authenticateToken, requireSuperAdmin, async (req, res) => {
   try {
     const files = await fs.readdir(DATA_DIR);
     const details = await Promise.all(
@@ -1396,6 +3255,19 @@ app.get("/api/debug/files", async (req, res) => {
   }
 });
 
+// ==================== ERROR HANDLER ====================
+// Body parser errors (oversized or malformed JSON) as JSON instead of an HTML page
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body too large" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Malformed JSON body" });
+  }
+  console.error("❌ Unhandled error:", err);
+  res.status(err.status || 500).json({ error: err.expose ? err.message : "Internal server error" });
+});
+
 // ==================== START SERVER ====================
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
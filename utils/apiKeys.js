@@ -0,0 +1,97 @@
+// backend/utils/apiKeys.js
+/**
+ * API keys for bots and integrations, stored in api-keys.json:
+ *
+ * {
+ *   id, name,
+ *   prefix,              // "rpk_ab12cd34" — shown in lists so keys can be told apart
+ *   keyHash,             // sha256 of the full key; the key itself is shown once, at creation
+ *   scopes: ["read:leaderboard"],
+ *   createdBy, createdAt,
+ *   lastUsedAt, revokedAt
+ * }
+ *
+ * Sent as `X-API-Key: rpk_…` or `Authorization: Bearer rpk_…`.
+ */
+import crypto from "crypto";
+
+export const API_KEY_SCOPES = ["read:leaderboard", "read:matches", "write:results"];
+export const API_KEY_MARKER = "rpk_";
+
+// lastUsedAt is only written back when it is older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+export function isApiKey(value) {
+  return typeof value === "string" && value.startsWith(API_KEY_MARKER);
+}
+
+/**
+ * The API key presented on a request, if any.
+ */
+export function apiKeyFromRequest(req) {
+  const header = req.headers["x-api-key"];
+  if (isApiKey(header)) return header;
+  const bearer = (req.headers["authorization"] || "").split(" ")[1];
+  return isApiKey(bearer) ? bearer : null;
+}
+
+/**
+ * Returns an error string, or null if { name, scopes } are acceptable.
+ */
+export function validateApiKeyInput({ name, scopes }) {
+  if (!String(name || "").trim()) return "name required";
+  if (!Array.isArray(scopes) || !scopes.length) return "scopes must be a non-empty array";
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(", ")} (allowed: ${API_KEY_SCOPES.join(", ")})`;
+  return null;
+}
+
+/**
+ * Mint a key. Returns { record, key } — store the record, show the key once.
+ */
+export function createApiKey({ name, scopes, createdBy }, keys = [], now = new Date()) {
+  const prefix = API_KEY_MARKER + crypto.randomBytes(4).toString("hex");
+  const key = `${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+  const record = {
+    id: keys.length ? Math.max(...keys.map((k) => k.id)) + 1 : 1,
+    name: String(name).trim(),
+    prefix,
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    createdBy,
+    createdAt: now.toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  return { record, key };
+}
+
+/**
+ * The active key record matching `presented`, or undefined.
+ */
+export function findApiKey(keys, presented) {
+  if (!isApiKey(presented)) return undefined;
+  const prefix = presented.split("_").slice(0, 2).join("_");
+  const hash = hashKey(presented);
+  return keys.find((k) => k.prefix === prefix && k.keyHash === hash && !k.revokedAt);
+}
+
+/**
+ * Record a use. Returns true if lastUsedAt changed enough to be worth saving.
+ */
+export function touchApiKey(record, now = new Date()) {
+  if (record.lastUsedAt && now - new Date(record.lastUsedAt) < TOUCH_INTERVAL_MS) return false;
+  record.lastUsedAt = now.toISOString();
+  return true;
+}
+
+/**
+ * Key as listed to admins (no hash).
+ */
+export function apiKeyView({ keyHash, ...record }) {
+  return record;
+}
@@ -1,9 +1,10 @@
-import { importMatchesFromICS, loadJSON, competitionsFile } from "./competitionUtils.js";
+import { importMatchesFromICS } from "./competitionUtils.js";
+import { repos } from "./repositories.js";
 
 export async function refreshCompetitions() {
   console.log("🔄 Refreshing competitions...");
 
-  const competitions = loadJSON(competitionsFile);
+  const competitions = await repos.competitions.all().catch(() => []);
   let totalAdded = 0, totalUpdated = 0;
 
   for (const comp of competitions) {
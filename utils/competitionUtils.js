@@ -1,27 +1,9 @@
 // backend/utils/competitionUtils.js
 import axios from "axios";
 import ical from "node-ical";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA_DIR = process.env.DATA_DIR || "/var/data";
-export const matchesFile = path.join(DATA_DIR, "matches.json");
-export const competitionsFile = path.join(DATA_DIR, "competitions.json");
-
-// Load/save JSON helpers
-export function loadJSON(file) {
-  if (!fs.existsSync(file)) return [];
-  return JSON.parse(fs.readFileSync(file, "utf-8"));
-}
-
-export function saveJSON(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-  console.log(`💾 Saved ${data.length} records to ${path.basename(file)}`);
-}
+import { assignRounds } from "./rounds.js";
+import { updateJSON } from "./dataStore.js";
+import { repos } from "./repositories.js";
 
 // --- Helpers for cleaning feed titles ---
 export function cleanTeamText(text, compName = "") {
@@ -105,14 +87,12 @@ export async function importMatchesFromICS(icsText, comp) {
   // --- Parse the ICS text ---
   const events = ical.parseICS(icsText);
 
-  // --- Load current matches from disk ---
-  const allMatches = await loadJSON(matchesFile);
+  // --- Load current matches ---
+  const allMatches = await repos.matches.all().catch(() => []);
 
   // --- Remove old matches from this competition ---
-  const existing = allMatches.filter((m) => m.competitionId !== comp.id);
   const updated = [];
   let added = 0;
-  let changed = 0;
 
   // --- Iterate through events and build matches ---
   for (const key in events) {
@@ -163,18 +143,29 @@ export async function importMatchesFromICS(icsText, comp) {
         teamA: cleanA,
         teamB: cleanB,
         kickoff,
-        result: { winner: null, margin: null },
+        result: { winner: null, margin: null, scoreA: null, scoreB: null },
       });
       added++;
     }
   }
 
-  // --- Combine and save ---
-  const finalMatches = [
-    ...allMatches.filter(m => m.competitionId !== comp.id),
-    ...updated
-  ];
-  await saveJSON(matchesFile, finalMatches);
+  // --- Combine, group into rounds (weekends) and save ---
+  // matches are re-read under the lock so a result set while the feed was parsed isn't lost;
+  // matches.json is locked before rounds.json, never the other way round
+  let rounds = [];
+  const finalMatches = await repos.matches.update(async (current) => {
+    const byId = new Map(current.map((m) => [m.id, m]));
+    const merged = [
+      ...current.filter(m => m.competitionId !== comp.id),
+      ...updated.map((m) => (byId.has(m.id) ? { ...byId.get(m.id), kickoff: m.kickoff } : m))
+    ];
+    // assignRounds sets roundId on the matches, so it runs before they're saved
+    rounds = await updateJSON("rounds.json", (cur) => assignRounds(comp.id, merged, cur), {
+      fallback: [],
+    });
+    return merged;
+  });
+  console.log(`💾 Saved ${finalMatches.length} matches, ${rounds.length} rounds`);
   
   console.log(`✅ ${added} new, ${updated.length - added} updated for ${comp.name}`);
   return {
@@ -0,0 +1,91 @@
+// backend/utils/consensus.js
+/**
+ * Crowd consensus — how the pool picked each match.
+ */
+import { scorePrediction, matchWinnerName, DRAW } from "./scoring.js";
+
+function share(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Consensus for one match from the predictions made on it.
+ *
+ * Shape:
+ * {
+ *   matchId, competitionId, teamA, teamB, kickoff,
+ *   total: 9,
+ *   picks: {
+ *     teamA: { team: "Leinster", count: 7, share: 77.8 },   // share is a percentage
+ *     teamB: { team: "Munster", count: 2, share: 22.2 },
+ *     draw:  { count: 0, share: 0 }
+ *   },
+ *   margin: { average: 8.4, median: 7 },   // over non-draw picks with a margin
+ *   result: null | { correctWinner: 7, exactMargin: 1 }
+ * }
+ */
+export function buildMatchConsensus(match, predictions) {
+  const counts = { teamA: 0, teamB: 0, draw: 0 };
+  const margins = [];
+  let correctWinner = 0;
+  let exactMargin = 0;
+  const hasResult = !!match.result?.winner;
+
+  for (const p of predictions) {
+    const pick = matchWinnerName(p.predictedWinner, match);
+    if (pick === DRAW) counts.draw++;
+    else if (pick === match.teamA) counts.teamA++;
+    else if (pick === match.teamB) counts.teamB++;
+
+    if (pick && pick !== DRAW && p.margin !== null && p.margin !== undefined && Number.isFinite(Number(p.margin))) {
+      margins.push(Number(p.margin));
+    }
+
+    if (hasResult) {
+      const s = scorePrediction(p, match);
+      if (s.correctWinner) correctWinner++;
+      if (s.exactMargin) exactMargin++;
+    }
+  }
+
+  const total = predictions.length;
+  margins.sort((a, b) => a - b);
+  const average = margins.length
+    ? Math.round((margins.reduce((sum, m) => sum + m, 0) / margins.length) * 10) / 10
+    : null;
+
+  return {
+    matchId: match.id,
+    competitionId: match.competitionId,
+    teamA: match.teamA,
+    teamB: match.teamB,
+    kickoff: match.kickoff,
+    total,
+    picks: {
+      teamA: { team: match.teamA, count: counts.teamA, share: share(counts.teamA, total) },
+      teamB: { team: match.teamB, count: counts.teamB, share: share(counts.teamB, total) },
+      draw: { count: counts.draw, share: share(counts.draw, total) },
+    },
+    margin: { average, median: median(margins) },
+    result: hasResult ? { correctWinner, exactMargin } : null,
+  };
+}
+
+/**
+ * Consensus for a list of matches, grouping predictions by matchId once.
+ */
+export function buildConsensus(matches, predictions) {
+  const byMatch = new Map();
+  for (const p of predictions) {
+    const id = Number(p.matchId);
+    if (!byMatch.has(id)) byMatch.set(id, []);
+    byMatch.get(id).push(p);
+  }
+  return matches.map((m) => buildMatchConsensus(m, byMatch.get(m.id) || []));
+}
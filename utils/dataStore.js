@@ -0,0 +1,149 @@
+// backend/utils/dataStore.js
+/**
+ * Shared JSON file access for DATA_DIR.
+ * server.js and the utils that need to read/write data files go through here.
+ *
+ * Writes are atomic: the JSON goes to a temp file that is then renamed over
+ * the target, so a crash leaves the old file or the new one, never half of
+ * one. The version being replaced is kept as <file>.bak (a hard link, not a
+ * copy), and recoverDataFiles() restores it at startup if a file won't parse.
+ *
+ * Writes to the same file run one at a time. For read-modify-write use
+ * updateJSON(file, fn): the whole cycle holds the file's queue, so two
+ * requests (or a request and the cron scraper) can't overwrite each other.
+ */
+import "dotenv/config"; // DATA_DIR may come from .env — load it before reading below
+import fs from "fs/promises";
+import path from "path";
+
+// Prefer persistent Render disk at /var/data, fallback to local ./data
+export const DATA_DIR = process.env.DATA_DIR || "/var/data";
+
+const TEMP_MARKER = ".tmp-";
+let tempCounter = 0;
+
+// file → promise that settles when the last queued operation on it is done
+const queues = new Map();
+
+/**
+ * Run `work` once every earlier operation queued on `file` has finished.
+ */
+export function withFileLock(file, work) {
+  const previous = queues.get(file) || Promise.resolve();
+  const run = previous.then(() => work());
+  const settled = run.catch(() => {});
+  queues.set(file, settled);
+  settled.then(() => {
+    if (queues.get(file) === settled) queues.delete(file);
+  });
+  return run;
+}
+
+export async function readJSON(file) {
+  const filePath = path.join(DATA_DIR, file);
+  const data = await fs.readFile(filePath, "utf8");
+  return JSON.parse(data || "[]");
+}
+
+async function writeAtomic(file, data) {
+  const filePath = path.join(DATA_DIR, file);
+  const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${++tempCounter}`;
+
+  const handle = await fs.open(tempPath, "w");
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2), "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await keepBackup(filePath);
+  await fs.rename(tempPath, filePath);
+}
+
+// Point <file>.bak at the current version before it's replaced
+async function keepBackup(filePath) {
+  const backupPath = `${filePath}.bak`;
+  await fs.rm(backupPath, { force: true });
+  try {
+    await fs.link(filePath, backupPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return; // first write — nothing to keep
+    await fs.copyFile(filePath, backupPath); // filesystems without hard links
+  }
+}
+
+export function writeJSON(file, data) {
+  return withFileLock(file, () => writeAtomic(file, data));
+}
+
+/**
+ * Read, change and write `file` while holding its queue.
+ * `mutate(data)` returns the new contents, or undefined to leave the file as it
+ * is. It must not write `file` itself (that would wait on its own queue).
+ * `fallback` is used when the file doesn't exist yet.
+ * Resolves with the contents after the update.
+ */
+export function updateJSON(file, mutate, { fallback } = {}) {
+  return withFileLock(file, async () => {
+    let data;
+    try {
+      data = await readJSON(file);
+    } catch (err) {
+      if (err.code !== "ENOENT" || fallback === undefined) throw err;
+      data = structuredClone(fallback);
+    }
+
+    const next = await mutate(data);
+    if (next === undefined) return data;
+    await writeAtomic(file, next);
+    return next;
+  });
+}
+
+/**
+ * Startup check of every .json file in DATA_DIR: clears temp files left by a
+ * crash, and replaces a file that is empty or doesn't parse with its .bak (the corrupt one
+ * is kept as <file>.corrupt-<timestamp>). Returns the files it restored.
+ */
+export async function recoverDataFiles() {
+  const names = await fs.readdir(DATA_DIR);
+  const restored = [];
+
+  for (const name of names) {
+    if (name.includes(`.json${TEMP_MARKER}`)) {
+      await fs.rm(path.join(DATA_DIR, name), { force: true });
+      console.log(`🧹 Removed leftover temp file ${name}`);
+    }
+  }
+
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    const filePath = path.join(DATA_DIR, name);
+    if (!(await parses(filePath))) {
+      if (!(await parses(`${filePath}.bak`))) {
+        console.error(`❌ ${name} is corrupt and has no usable backup — fix it by hand`);
+        continue;
+      }
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${++tempCounter}`;
+      await fs.copyFile(`${filePath}.bak`, tempPath);
+      await fs.rename(filePath, corruptPath);
+      await fs.rename(tempPath, filePath);
+      restored.push(name);
+      console.warn(`⚠️ ${name} was corrupt — restored the last good copy (bad one kept as ${path.basename(corruptPath)})`);
+    }
+  }
+  return restored;
+}
+
+// An empty file counts as corrupt: it's what a crash mid-write leaves behind
+async function parses(filePath) {
+  try {
+    const text = await fs.readFile(filePath, "utf8");
+    if (!text.trim()) return false;
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
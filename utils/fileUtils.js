@@ -1,18 +0,0 @@
-// utils/fileUtils.js
-const fs = require("fs");
-
-function load(file) {
-  if (!fs.existsSync(file)) return [];
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf-8"));
-  } catch (err) {
-    console.error(`❌ Error reading ${file}:`, err);
-    return [];
-  }
-}
-
-function save(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
-
-module.exports = { load, save };
\ No newline at end of file
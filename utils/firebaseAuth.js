@@ -0,0 +1,55 @@
+// backend/utils/firebaseAuth.js
+/**
+ * Firebase ID token verification for the optional Firebase login route.
+ *
+ * Enabled when any of these is set:
+ *   FIREBASE_PROJECT_ID            project the ID tokens are issued for
+ *   FIREBASE_SERVICE_ACCOUNT       service-account JSON (otherwise application default credentials)
+ *   FIREBASE_AUTH_EMULATOR_HOST    e.g. "localhost:9099" — firebase-admin then accepts
+ *                                  the emulator's unsigned tokens (local testing only —
+ *                                  refused when NODE_ENV=production)
+ */
+import { initializeApp, getApps, cert, applicationDefault } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+
+const APP_NAME = "rugby-login";
+
+export function usingFirebaseEmulator() {
+  return !!process.env.FIREBASE_AUTH_EMULATOR_HOST;
+}
+
+function emulatorRefused() {
+  return usingFirebaseEmulator() && process.env.NODE_ENV === "production";
+}
+
+export function firebaseLoginEnabled() {
+  return !!(
+    process.env.FIREBASE_PROJECT_ID ||
+    process.env.FIREBASE_SERVICE_ACCOUNT ||
+    usingFirebaseEmulator()
+  );
+}
+
+function firebaseApp() {
+  const existing = getApps().find((a) => a.name === APP_NAME);
+  if (existing) return existing;
+
+  const options = { projectId: process.env.FIREBASE_PROJECT_ID || "demo-rugby" };
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    options.credential = cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT));
+  } else if (!usingFirebaseEmulator()) {
+    options.credential = applicationDefault();
+  }
+  return initializeApp(options, APP_NAME);
+}
+
+/**
+ * Verify an ID token. Resolves to the decoded token ({ uid, email, email_verified, name, ... });
+ * rejects if it's invalid or expired.
+ */
+export async function verifyFirebaseIdToken(idToken) {
+  if (emulatorRefused()) {
+    throw new Error("FIREBASE_AUTH_EMULATOR_HOST is set in production — refusing unsigned emulator tokens");
+  }
+  return getAuth(firebaseApp()).verifyIdToken(String(idToken || ""));
+}
@@ -0,0 +1,165 @@
+// backend/utils/headToHead.js
+/**
+ * Head-to-head league format.
+ *
+ * Each round of the league's competition, members are paired into fixtures
+ * (round-robin, generated up front and stored on the league as `h2h`):
+ *
+ * league.h2h = {
+ *   generatedAt,
+ *   schedule: [{ roundId, fixtures: [{ homeId, awayId }], byeId }]
+ * }
+ *
+ * A fixture is won by whoever scores more prediction points in that round.
+ */
+import { filterPredictions } from "./leaderboard.js";
+
+export const H2H_POINTS = { win: 3, draw: 1, loss: 0 };
+
+/**
+ * Round-robin pairings (circle method). With an odd number of players one
+ * sits out each round (paired with null).
+ * Returns one array of [a, b] pairs per round; every pair meets exactly once.
+ */
+export function roundRobin(memberIds) {
+  const players = [...memberIds];
+  if (players.length % 2) players.push(null);
+  const n = players.length;
+  const rounds = [];
+
+  for (let r = 0; r < n - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = players[i];
+      const b = players[n - 1 - i];
+      // alternate home/away so nobody is always listed first
+      pairs.push(r % 2 ? [b, a] : [a, b]);
+    }
+    rounds.push(pairs);
+    // keep the first player fixed, rotate the rest
+    players.splice(1, 0, players.pop());
+  }
+  return rounds;
+}
+
+/**
+ * Lay the round-robin over the given rounds (in order), repeating the cycle
+ * if there are more rounds than opponents.
+ */
+export function buildSchedule(memberIds, rounds) {
+  const cycle = roundRobin(memberIds);
+  if (!cycle.length) return [];
+
+  return rounds.map((round, i) => {
+    const pairs = cycle[i % cycle.length];
+    const fixtures = [];
+    let byeId = null;
+    for (const [a, b] of pairs) {
+      if (a === null || b === null) byeId = a ?? b;
+      else fixtures.push({ homeId: a, awayId: b });
+    }
+    return { roundId: round.id, fixtures, byeId };
+  });
+}
+
+function roundStatus(roundMatches) {
+  if (!roundMatches.length) return "upcoming";
+  const done = roundMatches.filter((m) => m.result?.winner).length;
+  if (done === roundMatches.length) return "complete";
+  const started = roundMatches.some((m) => new Date(m.kickoff) <= new Date());
+  return started || done ? "in-progress" : "upcoming";
+}
+
+/**
+ * Attach round points and outcomes to every fixture.
+ * status: "upcoming" | "in-progress" | "complete" — only complete rounds count
+ * towards the standings.
+ */
+export function scoreSchedule(schedule, { predictions, matches, rounds = [] }) {
+  const roundById = new Map(rounds.map((r) => [r.id, r]));
+
+  return schedule.map((entry) => {
+    const roundMatches = matches.filter((m) => m.roundId === entry.roundId);
+    const status = roundStatus(roundMatches);
+
+    const pointsByUser = new Map();
+    for (const p of filterPredictions(predictions, matches, { roundId: entry.roundId })) {
+      pointsByUser.set(p.userId, (pointsByUser.get(p.userId) || 0) + Number(p.points || 0));
+    }
+
+    const fixtures = entry.fixtures.map((f) => {
+      const homePoints = pointsByUser.get(f.homeId) || 0;
+      const awayPoints = pointsByUser.get(f.awayId) || 0;
+      const winnerId =
+        homePoints > awayPoints ? f.homeId : awayPoints > homePoints ? f.awayId : null;
+      return { ...f, homePoints, awayPoints, winnerId };
+    });
+
+    const round = roundById.get(entry.roundId);
+    return {
+      roundId: entry.roundId,
+      roundName: round?.name || null,
+      startsAt: round?.startsAt || null,
+      status,
+      fixtures,
+      byeId: entry.byeId,
+    };
+  });
+}
+
+/**
+ * H2H table from a scored schedule (complete rounds only).
+ * Sorted by H2H points, then points difference, then points for.
+ */
+export function buildH2HStandings(scored, memberIds, users = []) {
+  const userById = new Map(users.map((u) => [u.id, u]));
+  const rows = new Map(
+    memberIds.map((id) => [
+      id,
+      { userId: id, played: 0, won: 0, drawn: 0, lost: 0, pointsFor: 0, pointsAgainst: 0, h2hPoints: 0 },
+    ])
+  );
+
+  const record = (userId, pointsFor, pointsAgainst) => {
+    const row = rows.get(userId);
+    if (!row) return; // no longer a member
+    row.played++;
+    row.pointsFor += pointsFor;
+    row.pointsAgainst += pointsAgainst;
+    if (pointsFor > pointsAgainst) { row.won++; row.h2hPoints += H2H_POINTS.win; }
+    else if (pointsFor < pointsAgainst) { row.lost++; row.h2hPoints += H2H_POINTS.loss; }
+    else { row.drawn++; row.h2hPoints += H2H_POINTS.draw; }
+  };
+
+  for (const round of scored) {
+    if (round.status !== "complete") continue;
+    for (const f of round.fixtures) {
+      record(f.homeId, f.homePoints, f.awayPoints);
+      record(f.awayId, f.awayPoints, f.homePoints);
+    }
+  }
+
+  const table = [...rows.values()].map((row) => {
+    const u = userById.get(row.userId) || {};
+    return { ...row, firstname: u.firstname || "", surname: u.surname || "" };
+  });
+
+  table.sort(
+    (a, b) =>
+      b.h2hPoints - a.h2hPoints ||
+      (b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst) ||
+      b.pointsFor - a.pointsFor
+  );
+
+  let rank = 0;
+  return table.map((row, i) => {
+    const prev = table[i - 1];
+    const tied =
+      prev &&
+      prev.h2hPoints === row.h2hPoints &&
+      prev.pointsFor - prev.pointsAgainst === row.pointsFor - row.pointsAgainst &&
+      prev.pointsFor === row.pointsFor;
+    if (!tied) rank = i + 1;
+    return { rank, ...row };
+  });
+}
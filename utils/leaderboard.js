@@ -0,0 +1,140 @@
+// backend/utils/leaderboard.js
+/**
+ * Leaderboard aggregation — one place that turns scored predictions into standings.
+ *
+ * Predictions are expected to have been scored already (points, correctWinner,
+ * exactMargin written by the recalc step); this only sums them up.
+ */
+
+/**
+ * Keep only predictions whose match is in the requested slice.
+ * filter: { competitionId?, competitionIds?, roundId?, from?, to?, matchIds? }
+ */
+export function filterPredictions(predictions, matches, filter = {}) {
+  const { competitionId, competitionIds, roundId, from, to, matchIds } = filter;
+  const sliced = competitionId || competitionIds || roundId || from || to || matchIds;
+  if (!sliced) return predictions;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const wanted = matchIds ? new Set(matchIds.map(Number)) : null;
+  const comps = competitionIds ? new Set(competitionIds.map(Number)) : null;
+
+  const inSlice = new Set(
+    matches
+      .filter((m) => {
+        if (competitionId && m.competitionId !== Number(competitionId)) return false;
+        if (comps && !comps.has(m.competitionId)) return false;
+        if (roundId && m.roundId !== Number(roundId)) return false;
+        if (wanted && !wanted.has(m.id)) return false;
+        const kickoff = new Date(m.kickoff);
+        if (fromDate && !(kickoff >= fromDate)) return false;
+        if (toDate && !(kickoff <= toDate)) return false;
+        return true;
+      })
+      .map((m) => m.id)
+  );
+
+  return predictions.filter((p) => inSlice.has(Number(p.matchId)));
+}
+
+/**
+ * What one scored prediction adds to its user's row.
+ */
+export function contributionOf(p) {
+  const points = Number(p.points || 0);
+  return {
+    points,
+    // partial credit (e.g. a tight pick on a drawn match) isn't a correct pick
+    correct: p.correctWinner !== undefined ? !!p.correctWinner : points > 0,
+    exactMargin: !!p.exactMargin,
+    jokerPoints: p.joker && p.basePoints !== undefined ? points - Number(p.basePoints || 0) : 0,
+  };
+}
+
+/**
+ * Sort rows (highest score first, then alphabetical name as tiebreak) and
+ * assign ranks — equal points share a rank (1, 2, 2, 4…).
+ */
+export function rankRows(rows) {
+  const sorted = [...rows].sort((a, b) => {
+    if (b.totalPoints !== a.totalPoints) {
+      return b.totalPoints - a.totalPoints;
+    }
+    const nameA = `${a.firstname} ${a.surname}`.toLowerCase();
+    const nameB = `${b.firstname} ${b.surname}`.toLowerCase();
+    return nameA.localeCompare(nameB);
+  });
+
+  let rank = 0;
+  return sorted.map(({ rank: _old, ...row }, i) => {
+    if (i === 0 || row.totalPoints !== sorted[i - 1].totalPoints) rank = i + 1;
+    return { rank, ...row };
+  });
+}
+
+/**
+ * Build standings for a slice of predictions.
+ *
+ * Row shape:
+ * {
+ *   rank: 1,                // equal points share a rank (1, 2, 2, 4…)
+ *   userId, firstname, surname, displayName, email,
+ *   totalPoints: 17,
+ *   correctPicks: 5,
+ *   exactMargins: 2,
+ *   predictionsMade: 8,
+ *   jokerPoints: 4          // extra points earned from joker multipliers
+ * }
+ *
+ * options.userIds limits the table to those users (e.g. a private league).
+ */
+export function buildLeaderboard({ users = [], predictions = [], matches = [], filter = {}, userIds = null }) {
+  const onlyUsers = userIds ? new Set(userIds.map(Number)) : null;
+  const byUser = new Map();
+
+  for (const p of filterPredictions(predictions, matches, filter)) {
+    const uid = p.userId;
+    if (!uid) continue;
+    if (onlyUsers && !onlyUsers.has(Number(uid))) continue;
+
+    if (!byUser.has(uid)) {
+      byUser.set(uid, {
+        userId: uid,
+        totalPoints: 0,
+        correctPicks: 0,
+        exactMargins: 0,
+        predictionsMade: 0,
+        jokerPoints: 0,
+      });
+    }
+    const bucket = byUser.get(uid);
+
+    bucket.predictionsMade += 1;
+
+    const c = contributionOf(p);
+    bucket.totalPoints += c.points;
+    bucket.jokerPoints += c.jokerPoints;
+    if (c.correct) bucket.correctPicks += 1;
+    if (c.exactMargin) bucket.exactMargins += 1;
+  }
+
+  const userById = new Map(users.map((u) => [u.id, u]));
+  const rows = Array.from(byUser.values()).map((row) => {
+    const u = userById.get(row.userId) || {};
+    return {
+      userId: row.userId,
+      firstname: u.firstname || "",
+      surname: u.surname || "",
+      displayName: u.displayName || null,
+      email: u.email || "",
+      totalPoints: row.totalPoints,
+      correctPicks: row.correctPicks,
+      exactMargins: row.exactMargins,
+      predictionsMade: row.predictionsMade,
+      jokerPoints: row.jokerPoints,
+    };
+  });
+
+  return rankRows(rows);
+}
@@ -0,0 +1,86 @@
+// backend/utils/leaderboardHistory.js
+/**
+ * Leaderboard snapshots, stored in leaderboard-history.json (oldest first):
+ *
+ * { id, takenAt, trigger, standings: [{ userId, rank, totalPoints }] }
+ *
+ * A snapshot is taken every time results are applied; rank movement and the
+ * history endpoint are derived from them.
+ */
+
+function standingsOf(leaderboard) {
+  return leaderboard.map((row) => ({
+    userId: row.userId,
+    rank: row.rank,
+    totalPoints: row.totalPoints,
+  }));
+}
+
+function sameStandings(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every(
+    (row, i) =>
+      row.userId === b[i].userId &&
+      row.rank === b[i].rank &&
+      row.totalPoints === b[i].totalPoints
+  );
+}
+
+/**
+ * Append a snapshot of `leaderboard` to `history` (returns the new array).
+ * Nothing is added if the standings are unchanged since the last snapshot.
+ */
+export function appendSnapshot(history, leaderboard, trigger, takenAt = new Date()) {
+  const standings = standingsOf(leaderboard);
+  const last = history[history.length - 1];
+  if (last && sameStandings(last.standings, standings)) return history;
+
+  return [
+    ...history,
+    {
+      id: last ? last.id + 1 : 1,
+      takenAt: takenAt.toISOString(),
+      trigger,
+      standings,
+    },
+  ];
+}
+
+/**
+ * Add previousRank + movement to leaderboard rows.
+ * movement > 0 means the user climbed (▲), < 0 dropped (▼), 0 no change,
+ * null if they weren't on the previous table.
+ *
+ * "Previous" is the latest snapshot that differs from the current standings,
+ * so the movement from the last results stays visible until the next ones.
+ */
+export function withMovement(leaderboard, history) {
+  const current = standingsOf(leaderboard);
+  let idx = history.length - 1;
+  if (idx >= 0 && sameStandings(history[idx].standings, current)) idx--;
+  const previous = idx >= 0 ? history[idx] : null;
+
+  const prevRank = new Map((previous?.standings || []).map((s) => [s.userId, s.rank]));
+  return leaderboard.map((row) => {
+    const previousRank = prevRank.has(row.userId) ? prevRank.get(row.userId) : null;
+    return {
+      ...row,
+      previousRank,
+      movement: previousRank === null ? null : previousRank - row.rank,
+    };
+  });
+}
+
+/**
+ * One user's rank over time: [{ snapshotId, takenAt, rank, totalPoints }]
+ */
+export function userHistory(history, userId) {
+  const out = [];
+  for (const snap of history) {
+    const row = snap.standings.find((s) => s.userId === userId);
+    if (row) {
+      out.push({ snapshotId: snap.id, takenAt: snap.takenAt, rank: row.rank, totalPoints: row.totalPoints });
+    }
+  }
+  return out;
+}
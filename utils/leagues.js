@@ -0,0 +1,55 @@
+// backend/utils/leagues.js
+/**
+ * Private mini-leagues, stored in leagues.json:
+ *
+ * {
+ *   id, name,
+ *   ownerId,
+ *   inviteCode,            // share to let people join
+ *   competitionId,         // null = all competitions
+ *   memberIds: [1, 7, 9],  // owner included
+ *   createdAt,
+ *   h2h                    // optional head-to-head schedule, see utils/headToHead.js
+ * }
+ */
+import crypto from "crypto";
+
+// No 0/O/1/I so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+/**
+ * A fresh invite code not used by any of `leagues`.
+ */
+export function generateInviteCode(leagues = []) {
+  const taken = new Set(leagues.map((l) => l.inviteCode));
+  let code;
+  do {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    code = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  } while (taken.has(code));
+  return code;
+}
+
+export function normalizeInviteCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+export function isMember(league, userId) {
+  return league.memberIds.includes(userId);
+}
+
+/**
+ * League as shown to a member, with member names joined on.
+ */
+export function leagueView(league, userId, users = []) {
+  const userById = new Map(users.map((u) => [u.id, u]));
+  return {
+    ...league,
+    isOwner: league.ownerId === userId,
+    members: league.memberIds.map((id) => {
+      const u = userById.get(id) || {};
+      return { id, firstname: u.firstname || "", surname: u.surname || "" };
+    }),
+  };
+}
@@ -0,0 +1,120 @@
+// backend/utils/magicLinks.js
+/**
+ * Passwordless login codes, stored in login-codes.json:
+ *
+ * {
+ *   id,              // also the `jti` of the signed link token
+ *   email,
+ *   codeHash,        // sha256 of the 6-digit code — the code itself is only mailed
+ *   attempts,        // wrong codes tried
+ *   createdAt, expiresAt, usedAt
+ * }
+ *
+ * Each request mails a short code and a signed link carrying the same login;
+ * whichever is used first consumes it.
+ */
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { normalizeEmail } from "./passwords.js";
+
+export const CODE_TTL_MINUTES = 15;
+export const MAX_CODE_ATTEMPTS = 5;
+// per address: at most MAX_REQUESTS_PER_WINDOW codes every WINDOW_MINUTES
+export const MAX_REQUESTS_PER_WINDOW = 3;
+export const WINDOW_MINUTES = 15;
+
+const PURPOSE = "magic-link";
+
+function hashCode(id, code) {
+  return crypto.createHash("sha256").update(`${id}:${code}`).digest("hex");
+}
+
+/**
+ * Drop records nobody can use or count any more.
+ */
+export function pruneLoginCodes(records, now = new Date()) {
+  const cutoff = now.getTime() - Math.max(CODE_TTL_MINUTES, WINDOW_MINUTES) * 60 * 1000;
+  return records.filter((r) => new Date(r.createdAt).getTime() > cutoff);
+}
+
+/**
+ * Seconds until `email` may request another code, or 0 if it may now.
+ */
+export function retryAfterSeconds(records, email, now = new Date()) {
+  const windowStart = now.getTime() - WINDOW_MINUTES * 60 * 1000;
+  const recent = records
+    .filter((r) => r.email === normalizeEmail(email) && new Date(r.createdAt).getTime() > windowStart)
+    .map((r) => new Date(r.createdAt).getTime())
+    .sort((a, b) => a - b);
+  if (recent.length < MAX_REQUESTS_PER_WINDOW) return 0;
+  return Math.ceil((recent[0] - windowStart) / 1000);
+}
+
+/**
+ * New login for `email`. Returns { record, code, linkToken } — store the record,
+ * mail the code and link.
+ */
+export function createLoginCode(email, secret, now = new Date()) {
+  const id = crypto.randomUUID();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000);
+
+  const record = {
+    id,
+    email: normalizeEmail(email),
+    codeHash: hashCode(id, code),
+    attempts: 0,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    usedAt: null,
+  };
+  const linkToken = jwt.sign({ purpose: PURPOSE, email: record.email }, secret, {
+    jwtid: id,
+    expiresIn: CODE_TTL_MINUTES * 60,
+  });
+  return { record, code, linkToken };
+}
+
+function usable(record, now) {
+  return record && !record.usedAt && new Date(record.expiresAt) > now;
+}
+
+/**
+ * Redeem a signed link token. Marks the record used and returns the email,
+ * or null if the token is invalid, expired or already used.
+ */
+export function redeemLinkToken(records, token, secret, now = new Date()) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch {
+    return null;
+  }
+  if (payload.purpose !== PURPOSE) return null;
+
+  const record = records.find((r) => r.id === payload.jti);
+  if (!usable(record, now) || record.email !== payload.email) return null;
+  record.usedAt = now.toISOString();
+  return record.email;
+}
+
+/**
+ * Redeem an emailed code for `email` (only the latest code counts). Wrong
+ * guesses are counted and the code is burnt after MAX_CODE_ATTEMPTS.
+ * Returns the email, or null.
+ */
+export function redeemCode(records, email, code, now = new Date()) {
+  const address = normalizeEmail(email);
+  const record = records
+    .filter((r) => r.email === address)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+  if (!usable(record, now)) return null;
+
+  if (record.codeHash !== hashCode(record.id, String(code || "").trim())) {
+    record.attempts += 1;
+    if (record.attempts >= MAX_CODE_ATTEMPTS) record.usedAt = now.toISOString();
+    return null;
+  }
+  record.usedAt = now.toISOString();
+  return record.email;
+}
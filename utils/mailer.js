@@ -0,0 +1,89 @@
+// backend/utils/mailer.js
+/**
+ * Outgoing mail with a pluggable transport, picked by MAIL_TRANSPORT:
+ *
+ *   console (default)  log the message — local dev only; refused in production,
+ *                      where it would put live login codes in the logs
+ *   file               write each message as JSON into MAIL_DIR (default <DATA_DIR>/mail)
+ *   smtp               nodemailer over SMTP_HOST / SMTP_PORT / SMTP_SECURE=1 /
+ *                      SMTP_USER / SMTP_PASS (works against a local SMTP stand-in)
+ *
+ * A transport is any object with `async send({ from, to, subject, text, html })`;
+ * setMailTransport() swaps one in (e.g. to capture mail in a script).
+ */
+import fs from "fs/promises";
+import path from "path";
+import { DATA_DIR } from "./dataStore.js";
+
+const MAIL_FROM = process.env.MAIL_FROM || "Rugby Predictions <no-reply@rugby-predictions.local>";
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+};
+
+function fileTransport(dir = process.env.MAIL_DIR || path.join(DATA_DIR, "mail")) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]/gi, "_")}.json`;
+      await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    },
+  };
+}
+
+async function smtpTransport() {
+  const { default: nodemailer } = await import("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "1",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return { send: (message) => transporter.sendMail(message) };
+}
+
+/**
+ * Refuse to start in production without a real transport. Called at startup.
+ */
+export function assertMailConfig(env = process.env) {
+  const name = env.MAIL_TRANSPORT || "console";
+  if (env.NODE_ENV === "production" && name === "console") {
+    throw new Error(
+      "MAIL_TRANSPORT must be set to smtp or file in production — the console transport logs login codes"
+    );
+  }
+}
+
+/**
+ * Build the transport named `name` ("console" | "file" | "smtp").
+ */
+export async function createMailTransport(name = process.env.MAIL_TRANSPORT || "console") {
+  switch (name) {
+    case "console":
+      return consoleTransport;
+    case "file":
+      return fileTransport();
+    case "smtp":
+      return smtpTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+}
+
+let transport = null;
+
+export function setMailTransport(custom) {
+  transport = custom;
+}
+
+/**
+ * Send one message through the configured transport.
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!transport) transport = await createMailTransport();
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
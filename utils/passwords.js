@@ -0,0 +1,83 @@
+// backend/utils/passwords.js
+/**
+ * Password accounts.
+ *
+ * Users gain two private fields in users.json:
+ *   passwordHash   — bcrypt hash; missing for accounts created before passwords
+ *   passwordReset  — { tokenHash, expiresAt } while an admin-issued reset is pending
+ *
+ * Neither may ever leave the server — send users through safeUser().
+ */
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+
+const BCRYPT_ROUNDS = 10;
+export const MIN_PASSWORD_LENGTH = 8;
+export const RESET_TOKEN_TTL_HOURS = 24;
+
+const PRIVATE_FIELDS = ["passwordHash", "passwordReset"];
+
+/**
+ * User without credential fields, safe to put in a response.
+ */
+export function safeUser(user) {
+  const out = { ...user };
+  for (const key of PRIVATE_FIELDS) delete out[key];
+  return out;
+}
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function findUserByEmail(users, email) {
+  const wanted = normalizeEmail(email);
+  return wanted ? users.find((u) => normalizeEmail(u.email) === wanted) : undefined;
+}
+
+/**
+ * Returns an error string, or null if the password is acceptable.
+ */
+export function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+export async function verifyPassword(user, password) {
+  if (!user?.passwordHash || typeof password !== "string") return false;
+  return bcrypt.compare(password, user.passwordHash);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * New single-use reset token. Store `passwordReset` on the user and hand
+ * `token` to the user — only its hash is kept.
+ */
+export function createResetToken(now = new Date()) {
+  const token = crypto.randomBytes(24).toString("hex");
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_HOURS * 3600 * 1000).toISOString();
+  return { token, expiresAt, passwordReset: { tokenHash: hashToken(token), expiresAt } };
+}
+
+/**
+ * The user holding an unexpired reset `token`, if any.
+ */
+export function findUserByResetToken(users, token, now = new Date()) {
+  if (!token) return undefined;
+  const tokenHash = hashToken(token);
+  return users.find(
+    (u) =>
+      u.passwordReset &&
+      u.passwordReset.tokenHash === tokenHash &&
+      new Date(u.passwordReset.expiresAt) > now
+  );
+}
@@ -0,0 +1,109 @@
+// backend/utils/predictionLocks.js
+/**
+ * Prediction lock rules — decides when a match stops accepting picks.
+ *
+ * Per-competition settings (stored on the competition in competitions.json):
+ * - lockOffsetMinutes: close predictions this many minutes before kickoff (default 0)
+ * - lockMode: "match" → each match locks at its own kickoff (default)
+ *             "round" → every match in a round locks at the round's first kickoff
+ *
+ * A round (see utils/rounds.js) may also set its own `deadline`; matches in it
+ * lock at whichever comes first.
+ */
+
+export const LOCK_MODES = ["match", "round"];
+export const DEFAULT_LOCK_OFFSET_MINUTES = 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Monday 00:00 UTC of the week containing `date` — used as the round key
+ * for matches that don't carry an explicit roundId.
+ */
+function weekStartUTC(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayFromMonday = (d.getUTCDay() + 6) % 7;
+  return new Date(d.getTime() - dayFromMonday * DAY_MS);
+}
+
+/**
+ * Key identifying the round a match belongs to.
+ * Falls back to competition + kickoff week when the match has no roundId.
+ */
+export function roundKeyFor(match) {
+  if (match.roundId !== undefined && match.roundId !== null) {
+    return `round:${match.roundId}`;
+  }
+  const kickoff = new Date(match.kickoff);
+  if (isNaN(kickoff)) return `match:${match.id}`;
+  return `week:${match.competitionId}|${weekStartUTC(kickoff).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Read a competition's lock settings with defaults applied.
+ */
+export function getLockSettings(competition) {
+  const offset = Number(competition?.lockOffsetMinutes);
+  return {
+    lockOffsetMinutes: Number.isFinite(offset) && offset > 0 ? offset : DEFAULT_LOCK_OFFSET_MINUTES,
+    lockMode: LOCK_MODES.includes(competition?.lockMode) ? competition.lockMode : "match",
+  };
+}
+
+/**
+ * When predictions for `match` close, or null if the kickoff is unknown.
+ * `matches` is the full match list (needed for round locking); `round` is the
+ * match's round from rounds.json, if any.
+ */
+export function getLockTime(match, competition, matches = [], round = null) {
+  const { lockOffsetMinutes, lockMode } = getLockSettings(competition);
+
+  let anchor = new Date(match.kickoff);
+  if (isNaN(anchor)) return null;
+
+  if (lockMode === "round") {
+    const key = roundKeyFor(match);
+    for (const m of matches) {
+      if (m.competitionId !== match.competitionId || roundKeyFor(m) !== key) continue;
+      const k = new Date(m.kickoff);
+      if (!isNaN(k) && k < anchor) anchor = k;
+    }
+  }
+
+  const lockTime = new Date(anchor.getTime() - lockOffsetMinutes * 60 * 1000);
+  const deadline = round?.deadline ? new Date(round.deadline) : null;
+  return deadline && !isNaN(deadline) && deadline < lockTime ? deadline : lockTime;
+}
+
+/**
+ * Why a prediction for `match` can't be saved right now, or null if it's still open.
+ */
+export function getLockReason(match, competition, matches = [], now = new Date(), round = null) {
+  if (match.result && match.result.winner) {
+    return "Match already has a result";
+  }
+
+  const lockTime = getLockTime(match, competition, matches, round);
+  if (!lockTime) return "Match has no valid kickoff";
+  if (now >= lockTime) {
+    return `Predictions closed at ${lockTime.toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Validate lock settings from an admin payload.
+ * Returns an error message, or null if the fields present are valid.
+ */
+export function validateLockSettings(body = {}) {
+  if (body.lockOffsetMinutes !== undefined) {
+    const n = Number(body.lockOffsetMinutes);
+    if (!Number.isFinite(n) || n < 0) {
+      return "lockOffsetMinutes must be a non-negative number";
+    }
+  }
+  if (body.lockMode !== undefined && !LOCK_MODES.includes(body.lockMode)) {
+    return `lockMode must be one of: ${LOCK_MODES.join(", ")}`;
+  }
+  return null;
+}
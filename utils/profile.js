@@ -0,0 +1,170 @@
+// backend/utils/profile.js
+/**
+ * Self-service profile fields and account deletion.
+ *
+ * Editable profile fields on a user:
+ *   firstname, surname     up to 50 chars
+ *   displayName            up to 30 chars, or null to use the real name
+ *   timezone               IANA name, e.g. "Europe/Dublin"
+ *   notifications          { matchReminders, results, leagueActivity } booleans
+ *
+ * Deleted accounts become a tombstone — same id, no email or credentials —
+ * so their predictions still count on past leaderboards under "Former player".
+ */
+import { safeUser, normalizeEmail } from "./passwords.js";
+
+export const NOTIFICATION_DEFAULTS = Object.freeze({
+  matchReminders: true,
+  results: true,
+  leagueActivity: true,
+});
+
+const NAME_MAX = 50;
+const DISPLAY_NAME_MAX = 30;
+
+function isTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function cleanName(value, field, max) {
+  if (typeof value !== "string") return { error: `${field} must be a string` };
+  const trimmed = value.trim();
+  if (trimmed.length > max) return { error: `${field} must be at most ${max} characters` };
+  return { value: trimmed };
+}
+
+/**
+ * Validate a profile update against the whitelist.
+ * Returns { changes } ready to merge onto the user, or { error }.
+ * options.allowEmail lets admins change the email too.
+ */
+export function validateProfileUpdate(body = {}, user = {}, { allowEmail = false } = {}) {
+  const allowed = ["firstname", "surname", "displayName", "timezone", "notifications"];
+  if (allowEmail) allowed.push("email");
+
+  const unknown = Object.keys(body).filter((k) => !allowed.includes(k));
+  if (unknown.length) return { error: `Unknown or read-only fields: ${unknown.join(", ")}` };
+
+  const changes = {};
+  for (const field of ["firstname", "surname"]) {
+    if (body[field] === undefined) continue;
+    const { value, error } = cleanName(body[field], field, NAME_MAX);
+    if (error) return { error };
+    changes[field] = value;
+  }
+
+  if (body.displayName !== undefined) {
+    if (body.displayName === null || body.displayName === "") {
+      changes.displayName = null;
+    } else {
+      const { value, error } = cleanName(body.displayName, "displayName", DISPLAY_NAME_MAX);
+      if (error) return { error };
+      changes.displayName = value || null;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== "string" || !isTimezone(body.timezone)) {
+      return { error: "timezone must be an IANA timezone like Europe/Dublin" };
+    }
+    changes.timezone = body.timezone;
+  }
+
+  if (body.notifications !== undefined) {
+    const prefs = body.notifications;
+    if (!prefs || typeof prefs !== "object" || Array.isArray(prefs)) {
+      return { error: "notifications must be an object" };
+    }
+    for (const [key, value] of Object.entries(prefs)) {
+      if (!(key in NOTIFICATION_DEFAULTS)) return { error: `Unknown notification setting: ${key}` };
+      if (typeof value !== "boolean") return { error: `notifications.${key} must be true or false` };
+    }
+    changes.notifications = { ...NOTIFICATION_DEFAULTS, ...user.notifications, ...prefs };
+  }
+
+  if (allowEmail && body.email !== undefined) {
+    const email = normalizeEmail(body.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "email is not valid" };
+    changes.email = email;
+  }
+
+  return { changes };
+}
+
+/**
+ * The user's own view of their profile.
+ */
+export function profileView(user, role) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstname: user.firstname || "",
+    surname: user.surname || "",
+    displayName: user.displayName || null,
+    timezone: user.timezone || null,
+    notifications: { ...NOTIFICATION_DEFAULTS, ...user.notifications },
+    role,
+    hasPassword: !!user.passwordHash,
+    createdAt: user.createdAt || null,
+  };
+}
+
+/**
+ * Everything we hold about a user, for "download my data".
+ */
+export function buildDataExport(user, { predictions, leagues, survivorPicks, sessions }) {
+  return {
+    exportedAt: new Date().toISOString(),
+    user: safeUser(user),
+    predictions: predictions.filter((p) => p.userId === user.id),
+    leagues: leagues
+      .filter((l) => l.memberIds.includes(user.id))
+      .map((l) => ({ id: l.id, name: l.name, competitionId: l.competitionId, isOwner: l.ownerId === user.id })),
+    survivorPicks: survivorPicks.filter((p) => p.userId === user.id),
+    sessions: sessions
+      .filter((s) => s.userId === user.id)
+      .map(({ id, createdAt, lastUsedAt, expiresAt, revokedAt, userAgent }) => ({
+        id, createdAt, lastUsedAt, expiresAt, revokedAt, userAgent,
+      })),
+  };
+}
+
+/**
+ * Tombstone that replaces a deleted user's record.
+ */
+export function anonymisedUser(user, now = new Date()) {
+  return {
+    id: user.id,
+    email: "",
+    firstname: "Former",
+    surname: "player",
+    role: "player",
+    isAdmin: false,
+    deletedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Take a deleted user out of private leagues (mutates). Leagues they own pass
+ * to the longest-standing other member, or are removed if nobody is left.
+ * Returns the leagues to keep.
+ */
+export function removeFromLeagues(leagues, userId) {
+  const kept = [];
+  for (const league of leagues) {
+    if (league.memberIds.includes(userId)) {
+      league.memberIds = league.memberIds.filter((id) => id !== userId);
+      if (league.ownerId === userId) {
+        if (!league.memberIds.length) continue;
+        league.ownerId = league.memberIds[0];
+      }
+    }
+    kept.push(league);
+  }
+  return kept;
+}
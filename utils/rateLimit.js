@@ -0,0 +1,123 @@
+// backend/utils/rateLimit.js
+/**
+ * In-process rate limiting and login lockouts.
+ *
+ * Counters live in a store with this (async) interface, so a shared store
+ * (Redis etc.) can replace the in-memory one when running several instances:
+ *
+ *   increment(key, windowMs) → { count, resetAt }   // starts a new window when expired
+ *   get(key)                 → { count, resetAt } | null
+ *   reset(key)
+ *
+ * Limits are "max requests per window", configurable per route group with
+ * env vars like RATE_LIMIT_AUTH="30/900" (30 requests per 900 seconds).
+ */
+
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map();
+    // drop expired counters now and then; unref so it never holds the process open
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref?.();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.counters) {
+      if (entry.resetAt <= now) this.counters.delete(key);
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.counters.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, entry);
+    }
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.counters.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { ...entry };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+/**
+ * Parse "max/windowSeconds" (e.g. "30/900"), falling back to `fallback`.
+ */
+export function parseLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+  if (!match) return fallback;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+export function retryAfterSeconds(resetAt, now = Date.now()) {
+  return Math.max(1, Math.ceil((resetAt - now) / 1000));
+}
+
+/**
+ * Express middleware for route groups.
+ *
+ * groups: [{ name, match(req) → bool, max, windowMs, key(req) → string (or a promise of one) }]
+ * The first group whose `match` accepts the request applies; the counter key
+ * is `<group name>:<key(req)>`.
+ */
+export function rateLimiter(groups, store = new MemoryStore()) {
+  return async (req, res, next) => {
+    const group = groups.find((g) => g.match(req));
+    if (!group || !group.max) return next();
+
+    try {
+      const key = await group.key(req);
+      const { count, resetAt } = await store.increment(`${group.name}:${key}`, group.windowMs);
+      res.set("RateLimit-Limit", String(group.max));
+      res.set("RateLimit-Remaining", String(Math.max(0, group.max - count)));
+      res.set("RateLimit-Reset", String(retryAfterSeconds(resetAt)));
+
+      if (count > group.max) {
+        res.set("Retry-After", String(retryAfterSeconds(resetAt)));
+        return res.status(429).json({ error: "Too many requests — slow down and try again shortly" });
+      }
+      next();
+    } catch (err) {
+      // a broken store shouldn't take the API down
+      console.error("❌ Rate limiter store failed:", err);
+      next();
+    }
+  };
+}
+
+/**
+ * Temporary lockout after repeated failures (e.g. wrong passwords for one email).
+ * After `maxFailures` within `windowMs` the key is locked for `lockMs`.
+ */
+export function createLockout({ store, maxFailures, windowMs, lockMs }) {
+  return {
+    // seconds until the key unlocks, or 0
+    async lockedFor(key) {
+      const lock = await store.get(`lock:${key}`);
+      return lock ? retryAfterSeconds(lock.resetAt) : 0;
+    },
+
+    async recordFailure(key) {
+      const { count } = await store.increment(`fail:${key}`, windowMs);
+      if (count >= maxFailures) {
+        await store.reset(`fail:${key}`);
+        await store.increment(`lock:${key}`, lockMs);
+        return true;
+      }
+      return false;
+    },
+
+    async recordSuccess(key) {
+      await store.reset(`fail:${key}`);
+    },
+  };
+}
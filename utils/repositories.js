@@ -0,0 +1,135 @@
+// backend/utils/repositories.js
+/**
+ * Repository layer for the core data: users, competitions, matches,
+ * predictions and the stored leaderboard.
+ *
+ * DATA_BACKEND picks the implementation:
+ *   json     (default) one JSON file per collection in DATA_DIR, via dataStore.js
+ *   sqlite   one database file, SQLITE_FILE (default <DATA_DIR>/rugby.db) —
+ *            see utils/sqliteRepositories.js; fill it once with `npm run import:sqlite`
+ *
+ * Collection repositories (users, competitions, matches, predictions):
+ *   all()                 → records, in insertion order
+ *   find(where)           → records matching e.g. { userId: 3 } (fields listed in `indexed`)
+ *   upsert(records)       insert, or replace the record with the same key
+ *   remove(records)       delete by key
+ *   saveAll(records)      replace the whole collection
+ *   update(fn)            read-modify-write with nothing else writing in between:
+ *                         fn(records) returns the new records, or undefined for no change
+ *
+ * Document repositories (leaderboard):
+ *   get()                 → the stored value, or null
+ *   save(value)
+ *   update(fn)            fn(value or null) returns the new value, or undefined for no
+ *                         change; fn may await other repositories — nothing else
+ *                         writes the document until it's done
+ *
+ * Prefer upsert/remove over all() + saveAll() for small changes: with SQLite
+ * they touch only those rows. Everything else in DATA_DIR (rounds, leagues,
+ * sessions, …) still goes through readJSON/writeJSON.
+ */
+import path from "path";
+import { DATA_DIR, readJSON, writeJSON, updateJSON } from "./dataStore.js";
+
+export const COLLECTIONS = {
+  users: { file: "users.json", key: ["id"], indexed: { email: "TEXT" } },
+  competitions: { file: "competitions.json", key: ["id"], indexed: {} },
+  matches: { file: "matches.json", key: ["id"], indexed: { competitionId: "INTEGER" } },
+  predictions: {
+    file: "predictions.json",
+    key: ["userId", "matchId"],
+    indexed: { userId: "INTEGER", matchId: "INTEGER" },
+  },
+};
+
+export const DOCUMENTS = {
+  leaderboard: { file: "leaderboard.json" },
+};
+
+/**
+ * Identity of a record within its collection — ids are compared as numbers
+ * since older files mix "3" and 3.
+ */
+export function keyOf(spec, record) {
+  return JSON.stringify(
+    spec.key.map((field) => {
+      const value = record[field];
+      return Number.isFinite(+value) && value !== null && value !== "" ? Number(value) : value;
+    })
+  );
+}
+
+export function matchesWhere(record, where) {
+  return Object.entries(where).every(([field, value]) => String(record[field]) === String(value));
+}
+
+function jsonCollection(spec) {
+  const keyFor = (record) => keyOf(spec, record);
+  const load = () => readJSON(spec.file);
+  const update = (mutate) => updateJSON(spec.file, mutate, { fallback: [] });
+
+  return {
+    all: load,
+    saveAll: (records) => writeJSON(spec.file, records),
+    update,
+
+    async find(where) {
+      return (await load()).filter((r) => matchesWhere(r, where));
+    },
+
+    async upsert(records) {
+      if (!records.length) return;
+      await update((all) => {
+        const indexByKey = new Map(all.map((r, i) => [keyFor(r), i]));
+        for (const record of records) {
+          const i = indexByKey.get(keyFor(record));
+          if (i === undefined) {
+            indexByKey.set(keyFor(record), all.length);
+            all.push(record);
+          } else {
+            all[i] = record;
+          }
+        }
+        return all;
+      });
+    },
+
+    async remove(records) {
+      if (!records.length) return;
+      const gone = new Set(records.map(keyFor));
+      await update((all) => all.filter((r) => !gone.has(keyFor(r))));
+    },
+  };
+}
+
+function jsonDocument(spec) {
+  return {
+    get: () => readJSON(spec.file).catch(() => null),
+    save: (value) => writeJSON(spec.file, value),
+    update: (mutate) => updateJSON(spec.file, mutate, { fallback: null }),
+  };
+}
+
+export function jsonRepositories() {
+  const repos = {};
+  for (const [name, spec] of Object.entries(COLLECTIONS)) repos[name] = jsonCollection(spec);
+  for (const [name, spec] of Object.entries(DOCUMENTS)) repos[name] = jsonDocument(spec);
+  return repos;
+}
+
+export function sqliteFile() {
+  return process.env.SQLITE_FILE || path.join(DATA_DIR, "rugby.db");
+}
+
+export async function createRepositories(backend = process.env.DATA_BACKEND || "json") {
+  if (backend === "json") return jsonRepositories();
+  if (backend === "sqlite") {
+    // only load the native module when it's actually used
+    const { sqliteRepositories } = await import("./sqliteRepositories.js");
+    return sqliteRepositories(sqliteFile(), { collections: COLLECTIONS, documents: DOCUMENTS, keyOf });
+  }
+  throw new Error(`Unknown DATA_BACKEND "${backend}" (expected json or sqlite)`);
+}
+
+export const repos = await createRepositories();
+console.log(`🗄️ Data backend: ${process.env.DATA_BACKEND || "json"}`);
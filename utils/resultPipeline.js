@@ -0,0 +1,157 @@
+// backend/utils/resultPipeline.js
+/**
+ * Result-change pipeline.
+ *
+ * Whenever a match result is set, corrected or cleared — by the BBC scraper,
+ * an admin edit, or any other source — call onResultsChanged() with the match
+ * ids. It rescores only the predictions for those matches, updates
+ * the stored leaderboard by applying the point deltas, snapshots the standings and
+ * settles survivor picks on those matches.
+ *
+ * Standings change only under the leaderboard's lock (repos.leaderboard.update),
+ * and rescoring happens inside it, so overlapping runs (the scraper and an admin
+ * edit) apply their deltas one after the other instead of over a stale read.
+ * Lock order: leaderboard, then predictions, then leaderboard-history.json.
+ */
+import { updateJSON } from "./dataStore.js";
+import { repos } from "./repositories.js";
+import { applyScore, resolveScoringRules } from "./scoring.js";
+import { buildLeaderboard, contributionOf, rankRows } from "./leaderboard.js";
+import { appendSnapshot } from "./leaderboardHistory.js";
+import { settlePicks } from "./survivor.js";
+
+/**
+ * True if two results differ in anything that affects scoring.
+ */
+export function resultChanged(before, after) {
+  const keys = ["winner", "margin", "scoreA", "scoreB"];
+  return keys.some((k) => (before?.[k] ?? null) !== (after?.[k] ?? null));
+}
+
+/**
+ * Apply prediction deltas to the persisted leaderboard rows.
+ * Returns null when the table can't be patched (missing file or a user with no row),
+ * so the caller falls back to a full rebuild.
+ */
+function patchLeaderboard(leaderboard, deltas, predictions) {
+  if (!leaderboard) return null;
+  const rows = new Map(leaderboard.map((r) => [r.userId, { ...r }]));
+
+  // predictionsMade moves with every saved pick, not just results — refresh it
+  const made = new Map();
+  for (const p of predictions) {
+    if (p.userId) made.set(p.userId, (made.get(p.userId) || 0) + 1);
+  }
+  for (const [userId, count] of made) {
+    const row = rows.get(userId);
+    if (!row) return null;
+    row.predictionsMade = count;
+  }
+
+  for (const { userId, before, after } of deltas) {
+    const row = rows.get(userId);
+    if (!row) return null;
+    row.totalPoints += after.points - before.points;
+    row.correctPicks += Number(after.correct) - Number(before.correct);
+    row.exactMargins = (row.exactMargins || 0) + Number(after.exactMargin) - Number(before.exactMargin);
+    row.jokerPoints = (row.jokerPoints || 0) + after.jokerPoints - before.jokerPoints;
+  }
+
+  return rankRows([...rows.values()]);
+}
+
+/**
+ * Append a snapshot to leaderboard-history.json. Call inside
+ * repos.leaderboard.update so snapshots land in the order the standings do.
+ */
+async function snapshotStandings(leaderboard, trigger) {
+  await updateJSON("leaderboard-history.json", (history) => appendSnapshot(history, leaderboard, trigger), {
+    fallback: [],
+  });
+}
+
+/**
+ * Rebuild the overall standings from scratch and snapshot them.
+ */
+export function rebuildStandings(trigger) {
+  return repos.leaderboard.update(async () => {
+    const [users, predictions, matches] = await Promise.all([
+      repos.users.all(),
+      repos.predictions.all(),
+      repos.matches.all(),
+    ]);
+    const leaderboard = buildLeaderboard({ users, predictions, matches });
+    await snapshotStandings(leaderboard, trigger);
+    return leaderboard;
+  });
+}
+
+/**
+ * Settle survivor picks on the given matches; losing picks eliminate their user.
+ */
+async function settleSurvivor(matchIds, matches) {
+  let eliminated = [];
+  await updateJSON(
+    "survivor.json",
+    (picks) => {
+      const settled = settlePicks(picks, matches, matchIds);
+      eliminated = settled.eliminated;
+      return settled.changed ? picks : undefined;
+    },
+    { fallback: [] }
+  );
+  for (const p of eliminated) {
+    console.log(`💀 Survivor: user ${p.userId} eliminated (competition ${p.competitionId}, ${p.team})`);
+  }
+  return eliminated.length;
+}
+
+/**
+ * Rescore predictions for the given matches and update the standings.
+ * `trigger` names the source for the history snapshot (e.g. "results-cron").
+ * Returns { rescored, changed, eliminated }.
+ */
+export async function onResultsChanged(matchIds, trigger) {
+  const ids = new Set(matchIds.map(Number));
+  if (!ids.size) return { rescored: 0, changed: 0, eliminated: 0 };
+
+  let matches = [];
+  let rescored = 0;
+  let changed = 0;
+
+  await repos.leaderboard.update(async (leaderboard) => {
+    // read once the lock is held, so a run that waited sees the latest results
+    const [competitions, users] = await Promise.all([repos.competitions.all(), repos.users.all()]);
+    matches = await repos.matches.all();
+    const matchById = new Map(matches.map((m) => [m.id, m]));
+    const compById = new Map(competitions.map((c) => [c.id, c]));
+
+    const deltas = [];
+    const predictions = await repos.predictions.update((current) => {
+      for (const p of current) {
+        const matchId = Number(p.matchId);
+        if (!ids.has(matchId)) continue;
+        const match = matchById.get(matchId);
+        if (!match) continue;
+
+        const before = contributionOf(p);
+        const rules = resolveScoringRules(compById.get(match.competitionId));
+        if (applyScore(p, match, rules)) changed++;
+        rescored++;
+        deltas.push({ userId: p.userId, before, after: contributionOf(p) });
+      }
+      return changed ? current : undefined;
+    });
+
+    const standings =
+      patchLeaderboard(leaderboard, deltas, predictions) ||
+      buildLeaderboard({ users, predictions, matches });
+    await snapshotStandings(standings, trigger);
+    return standings;
+  });
+
+  const eliminated = await settleSurvivor([...ids], matches);
+
+  console.log(`🔄 Rescored ${rescored} predictions for ${ids.size} match(es) (${trigger}); ${changed} changed.`);
+  return { rescored, changed, eliminated };
+}
@@ -9,33 +9,17 @@ import axios from "axios";
 import * as cheerio from "cheerio";
 import { fileURLToPath } from "url";
 import { normalizeTeamName } from "./teamAliases.js";
+import { resultFromScores } from "./scoring.js";
+import { onResultsChanged, resultChanged } from "./resultPipeline.js";
+import { repos } from "./repositories.js";
 
 // --- Meta + Paths ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 console.log("🧪 resultsUpdater.js loaded");
 
-const DATA_DIR = process.env.DATA_DIR || "/var/data"; // ✅ Persistent disk first
 const SCRAPE_DIR = path.join(__dirname, "../scrape");
 
-// --- Helpers ---
-async function readJSON(file) {
-  try {
-    const fullPath = path.join(DATA_DIR, file);
-    const data = await fs.promises.readFile(fullPath, "utf8");
-    return JSON.parse(data);
-  } catch (err) {
-    console.warn(`⚠️ Could not read ${file}:`, err.message);
-    return [];
-  }
-}
-
-async function writeJSON(file, data) {
-  const fullPath = path.join(DATA_DIR, file);
-  await fs.promises.writeFile(fullPath, JSON.stringify(data, null, 2), "utf8");
-  console.log(`💾 Wrote ${file} (${data.length} items)`);
-}
-
 // --- Ensure scrape folder exists ---
 if (!fs.existsSync(SCRAPE_DIR)) {
   fs.mkdirSync(SCRAPE_DIR, { recursive: true });
@@ -106,6 +90,8 @@ async function fetchBBCResultsForDate(dateISO) {
 }
 
 // --- Core Update Function ---
+// options: { daysBack, daysForward, trigger } — trigger labels the leaderboard
+// snapshot taken when results change (see resultPipeline.js)
 export async function updateResultsFromSources(_, __, ___, ____, options = {}) {
   console.log("🚀 updateResultsFromSources called");
   console.log("📆 Params:", options?.daysBack, options?.daysForward);
@@ -136,55 +122,75 @@ export async function updateResultsFromSources(_, __, ___, ____, options = {}) {
     return 0;
   }
 
-  const matches = await readJSON("matches.json");
-  if (!matches.length) {
-    console.log("⚠️ No matches.json data available — cannot update results.");
-    return 0;
-  }
-
   let updates = 0;
-
-  for (const match of matches) {
-    if (!match.kickoff) continue;
-
-    const matchDate = new Date(match.kickoff);
-    const localA = normalizeTeamName(match.teamA);
-    const localB = normalizeTeamName(match.teamB);
-
-    const scrapedResult = allResults.find((result) => {
-      const normA = normalizeTeamName(result.teamA);
-      const normB = normalizeTeamName(result.teamB);
-
-      const isTeamMatch =
-        (normA === localA && normB === localB) ||
-        (normA === localB && normB === localA);
-
-      if (!isTeamMatch || !result.date) return false;
-
-      const resultDate = new Date(result.date);
-      const diffDays = Math.abs((matchDate - resultDate) / (1000 * 60 * 60 * 24));
-
-      return diffDays <= 3;
+  const changedIds = [];
+
+  // Applied to the latest matches under the file's lock, so an admin edit made
+  // while we were scraping isn't overwritten.
+  const saved = await repos.matches
+    .update((matches) => {
+      for (const match of matches) {
+        if (!match.kickoff) continue;
+
+        const matchDate = new Date(match.kickoff);
+        const localA = normalizeTeamName(match.teamA);
+        const localB = normalizeTeamName(match.teamB);
+
+        const scrapedResult = allResults.find((result) => {
+          const normA = normalizeTeamName(result.teamA);
+          const normB = normalizeTeamName(result.teamB);
+
+          const isTeamMatch =
+            (normA === localA && normB === localB) ||
+            (normA === localB && normB === localA);
+
+          if (!isTeamMatch || !result.date) return false;
+
+          const resultDate = new Date(result.date);
+          const diffDays = Math.abs((matchDate - resultDate) / (1000 * 60 * 60 * 24));
+
+          return diffDays <= 3;
+        });
+
+        if (scrapedResult) {
+          // BBC may list the fixture the other way round — keep scores in our teamA/teamB order.
+          // The winner uses our own team spelling (or "draw"), not BBC's.
+          const sameOrder = normalizeTeamName(scrapedResult.teamA) === localA;
+          const previous = match.result;
+          match.result = resultFromScores(
+            match.teamA,
+            match.teamB,
+            sameOrder ? scrapedResult.scoreA : scrapedResult.scoreB,
+            sameOrder ? scrapedResult.scoreB : scrapedResult.scoreA
+          );
+          if (resultChanged(previous, match.result)) changedIds.push(match.id);
+          console.log(
+            `✅ Updated match: ${match.teamA} vs ${match.teamB} → ${scrapedResult.scoreA}-${scrapedResult.scoreB}`
+          );
+          updates++;
+        } else {
+          console.warn(
+            `⚠️ No matching result for: ${match.teamA} vs ${match.teamB} (${match.kickoff})`
+          );
+        }
+      }
+      return matches;
+    })
+    .catch((err) => {
+      console.warn("⚠️ Could not update matches:", err.message);
+      return [];
     });
-
-    if (scrapedResult) {
-      match.result = {
-        winner: normalizeTeamName(scrapedResult.winner),
-        margin: scrapedResult.margin,
-      };
-      console.log(
-        `✅ Updated match: ${match.teamA} vs ${match.teamB} → ${scrapedResult.scoreA}-${scrapedResult.scoreB}`
-      );
-      updates++;
-    } else {
-      console.warn(
-        `⚠️ No matching result for: ${match.teamA} vs ${match.teamB} (${match.kickoff})`
-      );
-    }
+  if (!saved.length) {
+    console.log("⚠️ No match data available — cannot update results.");
+    return 0;
   }
 
-  await writeJSON("matches.json", matches);
   console.log(`📈 Total match results updated: ${updates}`);
 
+  // Rescore only the matches whose result actually changed
+  if (changedIds.length) {
+    await onResultsChanged(changedIds, options.trigger || "results-scraper");
+  }
+
   return updates;
 }
\ No newline at end of file
@@ -0,0 +1,99 @@
+// backend/utils/roles.js
+/**
+ * Roles, lowest to highest:
+ *
+ *   player              predictions, leagues, survivor — the default
+ *   competition-admin   manages only the competitions in `adminCompetitionIds`
+ *                       (matches, results, rounds, settings, archive, refresh)
+ *   admin               everything except superadmin-only operations
+ *   superadmin          destructive purges, debug, granting admin/superadmin
+ *
+ * Stored on the user as `role` (+ `adminCompetitionIds` for competition admins).
+ * `isAdmin` is kept in step (true for admin and up) for older readers.
+ * Access tokens carry `role` and `competitionIds`; changing a role revokes the
+ * user's sessions so no token outlives it.
+ */
+
+export const ROLES = ["player", "competition-admin", "admin", "superadmin"];
+
+export function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * A user's role. Users from before roles existed have none stored: the
+ * SUPERADMIN_EMAIL account is superadmin, isAdmin users are admins.
+ */
+export function roleOfUser(user, superadminEmail) {
+  if (ROLES.includes(user.role)) return user.role;
+  if (superadminEmail && user.email === superadminEmail) return "superadmin";
+  return user.isAdmin ? "admin" : "player";
+}
+
+/**
+ * Role from access-token claims (tokens minted before roles fall back to the flags).
+ */
+export function roleOfClaims(claims) {
+  if (!claims) return null;
+  if (ROLES.includes(claims.role)) return claims.role;
+  if (claims.isSuperAdmin) return "superadmin";
+  return claims.isAdmin ? "admin" : "player";
+}
+
+export function hasRole(claims, minRole) {
+  const role = roleOfClaims(claims);
+  return role !== null && roleRank(role) >= roleRank(minRole);
+}
+
+/**
+ * May these claims manage competition `competitionId`?
+ */
+export function canManageCompetition(claims, competitionId) {
+  if (hasRole(claims, "admin")) return true;
+  return (
+    roleOfClaims(claims) === "competition-admin" &&
+    (claims.competitionIds || []).includes(Number(competitionId))
+  );
+}
+
+/**
+ * Check the role/competitionIds in an assignment. Returns an error string or null.
+ */
+export function validateRoleAssignment({ role, competitionIds, competitions }) {
+  if (!ROLES.includes(role)) return `role must be one of: ${ROLES.join(", ")}`;
+  if (role === "competition-admin") {
+    if (!Array.isArray(competitionIds) || !competitionIds.length) {
+      return "competitionIds required for competition-admin";
+    }
+    const known = new Set(competitions.map((c) => c.id));
+    const missing = competitionIds.map(Number).find((id) => !known.has(id));
+    if (missing !== undefined) return `Competition ${missing} not found`;
+  }
+  return null;
+}
+
+/**
+ * May `actor` (token claims) give `target` this role? Returns an error string or null.
+ * - nobody changes their own role
+ * - admins may hand out player / competition-admin to users below admin
+ * - only a superadmin may grant or take away admin / superadmin
+ */
+export function canAssignRole(actor, target, role, superadminEmail) {
+  if (actor.id === target.id) return "You can't change your own role";
+  const currentRole = roleOfUser(target, superadminEmail);
+  const touchesAdmin = roleRank(role) >= roleRank("admin") || roleRank(currentRole) >= roleRank("admin");
+  if (touchesAdmin && !hasRole(actor, "superadmin")) return "Only a superadmin can grant or remove admin roles";
+  if (!hasRole(actor, "admin")) return "Admin only";
+  return null;
+}
+
+/**
+ * Write a role onto a user record (mutates).
+ */
+export function applyRole(user, role, competitionIds = []) {
+  user.role = role;
+  user.isAdmin = roleRank(role) >= roleRank("admin");
+  if (role === "competition-admin") user.adminCompetitionIds = competitionIds.map(Number);
+  else delete user.adminCompetitionIds;
+  return user;
+}
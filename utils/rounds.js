@@ -0,0 +1,115 @@
+// backend/utils/rounds.js
+/**
+ * Rounds (gameweeks) — groups of a competition's matches, stored in rounds.json:
+ *
+ * { id, competitionId, number, name, startsAt, endsAt, deadline, source }
+ *
+ * - source "auto":   derived from kickoffs (a weekend's worth of fixtures)
+ * - source "manual": created by an admin; never renamed or removed automatically
+ * - deadline:        optional ISO time after which the whole round is locked
+ *
+ * Each match carries `roundId`. Matches an admin placed by hand also carry
+ * `roundSource: "manual"` and are left alone by assignRounds().
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A round never spans more than this from its first kickoff (Fri → Mon)…
+const MAX_ROUND_SPAN_MS = 4 * 24 * HOUR_MS;
+// …and a gap this long between kickoffs always starts a new round
+const MAX_GAP_MS = 2 * 24 * HOUR_MS;
+
+/**
+ * Split matches (any order) into clusters of kickoffs that belong together.
+ * Returns arrays of matches sorted by kickoff.
+ */
+export function clusterByKickoff(matches) {
+  const sorted = matches
+    .filter((m) => !isNaN(new Date(m.kickoff)))
+    .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff));
+
+  const clusters = [];
+  let current = null;
+  for (const m of sorted) {
+    const t = new Date(m.kickoff).getTime();
+    if (
+      !current ||
+      t - current.start > MAX_ROUND_SPAN_MS ||
+      t - current.last > MAX_GAP_MS
+    ) {
+      current = { start: t, last: t, matches: [] };
+      clusters.push(current);
+    }
+    current.last = t;
+    current.matches.push(m);
+  }
+  return clusters.map((c) => c.matches);
+}
+
+function span(matches) {
+  const times = matches.map((m) => new Date(m.kickoff).getTime()).filter((t) => !isNaN(t));
+  if (!times.length) return { startsAt: null, endsAt: null };
+  return {
+    startsAt: new Date(Math.min(...times)).toISOString(),
+    endsAt: new Date(Math.max(...times)).toISOString(),
+  };
+}
+
+function nextId(rounds) {
+  return rounds.length ? Math.max(...rounds.map((r) => r.id)) + 1 : 1;
+}
+
+/**
+ * (Re)derive automatic rounds for one competition.
+ *
+ * Mutates `matches` (sets roundId on the competition's auto-assigned matches)
+ * and returns the new full rounds list. Existing auto rounds are reused when
+ * they overlap a cluster so roundIds stay stable across ICS refreshes.
+ */
+export function assignRounds(competitionId, matches, rounds) {
+  const compMatches = matches.filter((m) => m.competitionId === competitionId);
+  const autoMatches = compMatches.filter((m) => m.roundSource !== "manual");
+
+  const others = rounds.filter((r) => r.competitionId !== competitionId);
+  const manual = rounds.filter((r) => r.competitionId === competitionId && r.source === "manual");
+  const oldAuto = rounds.filter((r) => r.competitionId === competitionId && r.source !== "manual");
+
+  const allIds = [...rounds];
+  const autoRounds = [];
+  const reusedIds = new Set(); // each old round goes to one cluster at most
+
+  for (const cluster of clusterByKickoff(autoMatches)) {
+    const { startsAt, endsAt } = span(cluster);
+    const reuse = oldAuto.find(
+      (r) =>
+        !reusedIds.has(r.id) &&
+        (cluster.some((m) => m.roundId === r.id) ||
+          (r.startsAt && r.endsAt && r.startsAt <= endsAt && r.endsAt >= startsAt))
+    );
+    const round = reuse
+      ? { ...reuse, startsAt, endsAt }
+      : { id: nextId(allIds), competitionId, source: "auto", deadline: null, startsAt, endsAt };
+    if (reuse) reusedIds.add(reuse.id);
+    else allIds.push(round);
+    autoRounds.push(round);
+    for (const m of cluster) m.roundId = round.id;
+  }
+
+  // Manual rounds follow their matches' kickoffs
+  const manualRounds = manual.map((r) => ({
+    ...r,
+    ...span(compMatches.filter((m) => m.roundId === r.id)),
+  }));
+
+  // Number every round of the competition in kickoff order (empty rounds last)
+  const compRounds = [...autoRounds, ...manualRounds].sort((a, b) => {
+    if (!a.startsAt || !b.startsAt) return (a.startsAt ? 0 : 1) - (b.startsAt ? 0 : 1);
+    return a.startsAt.localeCompare(b.startsAt);
+  });
+  compRounds.forEach((r, i) => {
+    r.number = i + 1;
+    if (r.source !== "manual") r.name = `Round ${r.number}`;
+  });
+
+  return [...others, ...compRounds];
+}
@@ -1,5 +1,4 @@
 // backend/utils/scoring.js
-// new push
 /**
  * Normalize team name strings for consistent comparison.
  */
@@ -11,46 +10,264 @@ function normalize(name) {
 }
 
 /**
- * Core scoring rule — the single source of truth for points.
- * - 3 points for correct winner + exact margin
- * - 2 points for correct winner (margin different)
- * - 0 points otherwise
+ * Default scoring rules. A competition can override any of these via
+ * `scoringRules` in competitions.json (see resolveScoringRules).
+ *
+ * - correctWinner:      points for picking the right winner
+ * - exactMargin:        extra points when the margin is exactly right
+ * - marginWithinRange / marginWithinPoints:
+ *                       extra points when the margin is off by at most N
+ * - marginBands / marginBandPoints:
+ *                       extra points when predicted and actual margin fall in
+ *                       the same band, e.g. [{min:1,max:7},{min:8,max:14},{min:15,max:null}]
+ * - draw:               points for correctly predicting a draw (replaces winner/margin points)
+ * - drawTightMarginRange / drawTightMarginPoints:
+ *                       partial credit when the match is drawn and the pick was a
+ *                       team to win by at most N points
+ * - exactScoreBonus:    added on top when both scores are exactly right
+ * - jokerMultiplier:    a prediction flagged as the user's joker for the round
+ *                       earns its points multiplied by this
+ *
+ * Only the best margin bonus the pick qualifies for applies (exact, within N or
+ * same band — whichever is worth most); they don't stack.
+ */
+export const DEFAULT_SCORING_RULES = Object.freeze({
+  correctWinner: 2,
+  exactMargin: 2,
+  marginWithinRange: 0,
+  marginWithinPoints: 0,
+  marginBands: [],
+  marginBandPoints: 0,
+  draw: 4,
+  drawTightMarginRange: 3,
+  drawTightMarginPoints: 1,
+  exactScoreBonus: 3,
+  jokerMultiplier: 2,
+});
+
+const POINT_FIELDS = [
+  "correctWinner",
+  "exactMargin",
+  "marginWithinRange",
+  "marginWithinPoints",
+  "marginBandPoints",
+  "draw",
+  "drawTightMarginRange",
+  "drawTightMarginPoints",
+  "exactScoreBonus",
+  "jokerMultiplier",
+];
+
+/**
+ * Effective scoring rules for a competition (defaults + its overrides).
  */
-export default function calculatePoints(predictedWinner, predictedMargin, actualWinner, actualMargin) {
-  if (!match?.result?.winner) return 0;
+export function resolveScoringRules(competition) {
+  return { ...DEFAULT_SCORING_RULES, ...(competition?.scoringRules || {}) };
+}
 
-  const correctWinner =
-    normalize(prediction.predictedWinner || prediction.winner) ===
-    normalize(match.result.winner);
+/**
+ * Validate a (partial) scoringRules payload.
+ * Returns an error message, or null if valid.
+ */
+export function validateScoringRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return "scoringRules must be an object";
+  }
 
-  if (!correctWinner) return 0;
+  for (const key of Object.keys(rules)) {
+    if (!POINT_FIELDS.includes(key) && key !== "marginBands") {
+      return `Unknown scoring rule: ${key}`;
+    }
+  }
 
-  const sameMargin =
-    match.result.margin &&
-    prediction.margin !== undefined &&
-    Number(prediction.margin) === Number(match.result.margin);
+  for (const key of POINT_FIELDS) {
+    if (rules[key] === undefined) continue;
+    const n = rules[key];
+    if (typeof n !== "number" || !Number.isFinite(n) || n < 0) {
+      return `${key} must be a non-negative number`;
+    }
+  }
 
-  return sameMargin ? 4 : 2;
+  if (rules.marginBands !== undefined) {
+    if (!Array.isArray(rules.marginBands)) return "marginBands must be an array";
+    for (const band of rules.marginBands) {
+      const min = band?.min;
+      const max = band?.max ?? null;
+      if (!Number.isFinite(min) || min < 0) return "Each margin band needs a non-negative min";
+      if (max !== null && (!Number.isFinite(max) || max < min)) {
+        return "Each margin band max must be null or >= min";
+      }
+    }
+  }
+
+  if (rules.jokerMultiplier !== undefined && rules.jokerMultiplier < 1) {
+    return "jokerMultiplier must be at least 1";
+  }
+
+  return null;
+}
+
+function bandIndex(bands, margin) {
+  return bands.findIndex(
+    (b) => margin >= b.min && (b.max === null || b.max === undefined || margin <= b.max)
+  );
+}
+
+// The predictedWinner / result.winner value used for a draw
+export const DRAW = "draw";
+
+export function isDraw(value) {
+  return normalize(value) === DRAW;
 }
 
 /**
- * Recalculate predictions for a single match.
+ * Resolve a submitted winner to the match's own spelling:
+ * match.teamA, match.teamB or DRAW — or null if it's neither team.
  */
-export function recalcPointsForMatch(matchId, matches, predictions, save, PREDICTIONS_FILE) {
+export function matchWinnerName(value, match) {
+  if (isDraw(value)) return DRAW;
+  const n = normalize(value);
+  if (!n) return null;
+  if (n === normalize(match.teamA)) return match.teamA;
+  if (n === normalize(match.teamB)) return match.teamB;
+  return null;
+}
+
+function hasScores(obj) {
+  return (
+    obj != null &&
+    obj.scoreA !== undefined && obj.scoreA !== null &&
+    obj.scoreB !== undefined && obj.scoreB !== null &&
+    Number.isFinite(Number(obj.scoreA)) &&
+    Number.isFinite(Number(obj.scoreB))
+  );
+}
+
+/**
+ * Build a match result from a final score (scores are in teamA/teamB order).
+ */
+export function resultFromScores(teamA, teamB, scoreA, scoreB) {
+  const a = Number(scoreA);
+  const b = Number(scoreB);
+  return {
+    winner: a > b ? teamA : b > a ? teamB : DRAW,
+    margin: Math.abs(a - b),
+    scoreA: a,
+    scoreB: b,
+  };
+}
+
+/**
+ * Score a prediction against its match and explain why.
+ * Returns { points, basePoints, correctWinner, exactMargin, exactScore }
+ * where basePoints is before any joker multiplier.
+ */
+export function scorePrediction(prediction, match, rules = DEFAULT_SCORING_RULES) {
+  const breakdown = scoreBase(prediction, match, rules);
+  const multiplier = prediction.joker ? rules.jokerMultiplier : 1;
+  return { ...breakdown, points: breakdown.basePoints * multiplier };
+}
+
+function scoreBase(prediction, match, rules) {
+  const none = { basePoints: 0, correctWinner: false, exactMargin: false, exactScore: false };
+  const result = match?.result;
+  if (!result?.winner) return none;
+
+  const predictedWinner = prediction.predictedWinner || prediction.winner;
+  const correctWinner = normalize(predictedWinner) === normalize(result.winner);
+
+  // Drawn match, team picked to win narrowly → partial credit
+  if (!correctWinner) {
+    const tightPick =
+      isDraw(result.winner) &&
+      !isDraw(predictedWinner) &&
+      prediction.margin !== undefined && prediction.margin !== null &&
+      Number(prediction.margin) <= rules.drawTightMarginRange;
+    return tightPick ? { ...none, basePoints: rules.drawTightMarginPoints } : none;
+  }
+
+  const hasMargins =
+    result.margin !== undefined && result.margin !== null &&
+    prediction.margin !== undefined && prediction.margin !== null;
+  const predictedMargin = Number(prediction.margin);
+  const actualMargin = Number(result.margin);
+  // a draw has no margin to get right — the draw points cover it
+  const exactMargin = !isDraw(result.winner) && hasMargins && predictedMargin === actualMargin;
+
+  const exactScore =
+    hasScores(prediction) &&
+    hasScores(result) &&
+    Number(prediction.scoreA) === Number(result.scoreA) &&
+    Number(prediction.scoreB) === Number(result.scoreB);
+
+  let points;
+  if (isDraw(result.winner)) {
+    points = rules.draw;
+  } else {
+    // every margin bonus the pick qualifies for; only the best one counts
+    const marginBonuses = [0];
+    if (exactMargin) marginBonuses.push(rules.exactMargin);
+    if (hasMargins && Math.abs(predictedMargin - actualMargin) <= rules.marginWithinRange) {
+      marginBonuses.push(rules.marginWithinPoints);
+    }
+    if (hasMargins && rules.marginBands.length) {
+      const band = bandIndex(rules.marginBands, actualMargin);
+      if (band !== -1 && band === bandIndex(rules.marginBands, predictedMargin)) {
+        marginBonuses.push(rules.marginBandPoints);
+      }
+    }
+    points = rules.correctWinner + Math.max(...marginBonuses);
+  }
+  if (exactScore) points += rules.exactScoreBonus;
+
+  return { basePoints: points, correctWinner, exactMargin, exactScore };
+}
+
+/**
+ * Core scoring rule — the single source of truth for points.
+ * Points come from `rules` (defaults to DEFAULT_SCORING_RULES: 2 for the winner,
+ * 4 with the exact margin, +3 for the exact score, 0 otherwise).
+ */
+export default function calculatePoints(prediction, match, rules = DEFAULT_SCORING_RULES) {
+  return scorePrediction(prediction, match, rules).points;
+}
+
+/**
+ * Write the score breakdown onto a prediction
+ * (points, basePoints, correctWinner, exactMargin, exactScore).
+ * A match without a result scores zero, so a cleared result resets its picks.
+ * Returns true if any part of the breakdown changed (points or a flag).
+ */
+export function applyScore(prediction, match, rules = DEFAULT_SCORING_RULES) {
+  const { points, basePoints, correctWinner, exactMargin, exactScore } =
+    scorePrediction(prediction, match, rules);
+  const breakdown = { points, basePoints, correctWinner, exactMargin, exactScore };
+  const changed = Object.entries(breakdown).some(([field, value]) => prediction[field] !== value);
+  Object.assign(prediction, breakdown);
+  return changed;
+}
+
+/**
+ * Recalculate predictions for a single match (its result was set, corrected or cleared).
+ * `save` is optional — pass it to persist straight away.
+ */
+export function recalcPointsForMatch(matchId, matches, predictions, save, PREDICTIONS_FILE, competitions = []) {
   const match = matches.find((m) => m.id === matchId);
-  if (!match || !match.result || !match.result.winner) return;
+  if (!match) return 0;
+  const rules = resolveScoringRules(competitions.find((c) => c.id === match.competitionId));
 
   let updated = 0;
 
   predictions.forEach((p) => {
-    if (p.matchId === matchId) {
-      p.points = calculatePoints(p, match);
+    if (Number(p.matchId) === matchId) {
+      applyScore(p, match, rules);
       updated++;
     }
   });
 
-  save(PREDICTIONS_FILE, predictions);
+  if (save) save(PREDICTIONS_FILE, predictions);
   console.log(`🔄 Recalculated predictions for match ${matchId}: ${updated} updated.`);
+  return updated;
 }
 
 /**
@@ -60,7 +277,7 @@ export function recalcPointsForMatch(matchId, matches, predictions, save, PREDIC
  * - Leaves existing results if BBC didn’t provide anything
  * - Flags recent matches with no result for manual attention
  */
-export function recalcAllMatches(matches, predictions, newResults, save, MATCHES_FILE, PREDICTIONS_FILE) {
+export function recalcAllMatches(matches, predictions, newResults, save, MATCHES_FILE, PREDICTIONS_FILE, competitions = []) {
   const now = new Date();
   const flagged = []; // ⚠️ Matches needing manual update
 
@@ -71,7 +288,9 @@ export function recalcAllMatches(matches, predictions, newResults, save, MATCHES
       // 🆕 BBC provided a result
       match.result = {
         winner: newResult.winner || match.result.winner,
-        margin: newResult.margin || match.result.margin,
+        margin: newResult.margin ?? match.result.margin,
+        scoreA: newResult.scoreA ?? match.result.scoreA ?? null,
+        scoreB: newResult.scoreB ?? match.result.scoreB ?? null,
       };
     } else if (!match.result?.winner) {
       // ❌ No result anywhere
@@ -89,9 +308,10 @@ export function recalcAllMatches(matches, predictions, newResults, save, MATCHES
 
     // 🔄 Always recalc predictions if match has a result
     if (match.result?.winner) {
+      const rules = resolveScoringRules(competitions.find((c) => c.id === match.competitionId));
       predictions.forEach((p) => {
         if (p.matchId === match.id) {
-          p.points = calculatePoints(p, match);
+          applyScore(p, match, rules);
         }
       });
     }
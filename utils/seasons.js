@@ -0,0 +1,95 @@
+// backend/utils/seasons.js
+/**
+ * Seasons group competitions (seasons.json):
+ *
+ * {
+ *   id, name: "2025/26",
+ *   competitionIds: [2, 3],   // a competition belongs to at most one season
+ *   startsOn, endsOn,         // optional ISO dates, informational
+ *   status: "open" | "closed",
+ *   createdAt, closedAt
+ * }
+ *
+ * Closing a season freezes its final standings into season-archives.json.
+ * Archives are write-once — nothing updates or deletes them afterwards, so
+ * rescoring old matches can't change a finished season. The one exception is
+ * account deletion: the deleted user's rows keep their points but lose their
+ * name and email (anonymiseArchiveRows).
+ */
+import { buildLeaderboard } from "./leaderboard.js";
+
+function isDate(value) {
+  return value === undefined || value === null || !isNaN(new Date(value));
+}
+
+/**
+ * Validate a season create/update body. Returns an error string or null.
+ * `seasonId` is the season being edited (so its own competitions don't clash).
+ */
+export function validateSeason(body, { competitions, seasons, seasonId = null }) {
+  if (body.name !== undefined && !String(body.name).trim()) return "Season name required";
+  if (!isDate(body.startsOn) || !isDate(body.endsOn)) return "startsOn/endsOn must be ISO dates";
+
+  if (body.competitionIds !== undefined) {
+    if (!Array.isArray(body.competitionIds)) return "competitionIds must be an array";
+    const known = new Set(competitions.map((c) => c.id));
+    for (const id of body.competitionIds.map(Number)) {
+      if (!known.has(id)) return `Competition ${id} not found`;
+      const other = seasons.find((s) => s.id !== seasonId && s.competitionIds.includes(id));
+      if (other) return `Competition ${id} already belongs to season "${other.name}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Season leaderboard, built live from the season's competitions.
+ */
+export function seasonLeaderboard(season, { users, predictions, matches }) {
+  return buildLeaderboard({
+    users,
+    predictions,
+    matches,
+    filter: { competitionIds: season.competitionIds },
+  });
+}
+
+/**
+ * Freeze a season: overall table plus one table per competition.
+ */
+export function buildSeasonArchive(season, { users, predictions, matches, competitions }, closedAt = new Date()) {
+  const data = { users, predictions, matches };
+  const compById = new Map(competitions.map((c) => [c.id, c]));
+
+  return {
+    seasonId: season.id,
+    name: season.name,
+    closedAt: closedAt.toISOString(),
+    competitions: season.competitionIds.map((id) => ({
+      id,
+      name: compById.get(id)?.name || null,
+      standings: buildLeaderboard({ ...data, filter: { competitionId: id } }),
+    })),
+    standings: seasonLeaderboard(season, data),
+  };
+}
+
+/**
+ * Replace a deleted user's name and email in every archived table (mutates).
+ * `tombstone` is their anonymised user record. Returns true if anything changed.
+ */
+export function anonymiseArchiveRows(archives, userId, tombstone) {
+  let changed = false;
+  const tables = archives.flatMap((a) => [a.standings, ...a.competitions.map((c) => c.standings)]);
+  for (const row of tables.flat()) {
+    if (Number(row.userId) !== Number(userId)) continue;
+    Object.assign(row, {
+      firstname: tombstone.firstname,
+      surname: tombstone.surname,
+      displayName: null,
+      email: "",
+    });
+    changed = true;
+  }
+  return changed;
+}
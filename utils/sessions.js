@@ -0,0 +1,113 @@
+// backend/utils/sessions.js
+/**
+ * Login sessions, stored in sessions.json:
+ *
+ * {
+ *   id,                   // carried as `sid` in every access token
+ *   userId,
+ *   refreshTokenHash,     // sha256 of the current refresh token
+ *   rotatedHashes: [],    // earlier refresh tokens of this session
+ *   createdAt, lastUsedAt, expiresAt,
+ *   revokedAt, revokedReason,
+ *   userAgent
+ * }
+ *
+ * Access tokens are short-lived JWTs; the refresh token is swapped for a new
+ * one on every use. Presenting an already-rotated refresh token means it was
+ * copied, so the whole session is revoked.
+ */
+import crypto from "crypto";
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const MAX_ROTATED_HASHES = 20;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// "<sessionId>.<secret>" so the session can be found without scanning hashes
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+export function isSessionActive(session, now = new Date()) {
+  return !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+/**
+ * New session for a user. Returns { session, refreshToken }.
+ */
+export function createSession(userId, { userAgent = null } = {}, now = new Date()) {
+  const id = crypto.randomUUID();
+  const refreshToken = newRefreshToken(id);
+  const session = {
+    id,
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    rotatedHashes: [],
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400 * 1000).toISOString(),
+    revokedAt: null,
+    revokedReason: null,
+    userAgent,
+  };
+  return { session, refreshToken };
+}
+
+export function revokeSession(session, reason, now = new Date()) {
+  if (session.revokedAt) return false;
+  session.revokedAt = now.toISOString();
+  session.revokedReason = reason;
+  return true;
+}
+
+/**
+ * Revoke every active session of a user (optionally keeping one).
+ * Returns how many were revoked.
+ */
+export function revokeUserSessions(sessions, userId, reason, exceptSessionId = null, now = new Date()) {
+  let count = 0;
+  for (const s of sessions) {
+    if (s.userId !== userId || s.id === exceptSessionId || !isSessionActive(s, now)) continue;
+    if (revokeSession(s, reason, now)) count++;
+  }
+  return count;
+}
+
+/**
+ * Swap a refresh token for a new one (mutates the session).
+ * Returns { session, refreshToken } or { error } — reuse of an old token
+ * revokes the session.
+ */
+export function rotateRefreshToken(sessions, refreshToken, now = new Date()) {
+  const sessionId = String(refreshToken || "").split(".")[0];
+  const session = sessions.find((s) => s.id === sessionId);
+  if (!session) return { error: "Invalid refresh token" };
+
+  const hash = hashToken(refreshToken);
+  if (session.rotatedHashes.includes(hash)) {
+    revokeSession(session, "refresh-token-reuse", now);
+    return { error: "Refresh token already used — session revoked" };
+  }
+  if (session.refreshTokenHash !== hash) return { error: "Invalid refresh token" };
+  if (!isSessionActive(session, now)) return { error: "Session expired or revoked" };
+
+  const next = newRefreshToken(session.id);
+  session.rotatedHashes = [...session.rotatedHashes, hash].slice(-MAX_ROTATED_HASHES);
+  session.refreshTokenHash = hashToken(next);
+  session.lastUsedAt = now.toISOString();
+  return { session, refreshToken: next };
+}
+
+/**
+ * Drop sessions that expired or were revoked more than a day ago.
+ */
+export function pruneSessions(sessions, now = new Date()) {
+  const cutoff = now.getTime() - 86400 * 1000;
+  return sessions.filter((s) => {
+    const ended = s.revokedAt ? new Date(s.revokedAt) : new Date(s.expiresAt);
+    return ended.getTime() > cutoff;
+  });
+}
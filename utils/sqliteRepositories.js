@@ -0,0 +1,174 @@
+// backend/utils/sqliteRepositories.js
+/**
+ * SQLite implementation of the repositories in utils/repositories.js.
+ *
+ * One table per collection:
+ *   key    TEXT PRIMARY KEY   keyOf(record), e.g. "[3]" or "[2,41]" for predictions
+ *   <indexed fields>          copies of the fields find() can filter on
+ *   data   TEXT               the record as JSON
+ * plus `documents (name, data)` for single values like the leaderboard.
+ *
+ * Writes go through one queue so transactions never overlap. A document's
+ * update() also holds a queue of its own for the whole read-modify-write, so
+ * its callback can use the collections (their transactions) in between.
+ */
+import sqlite3 from "sqlite3";
+
+function open(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(db)));
+  });
+}
+
+function query(db) {
+  return {
+    run: (sql, params = []) =>
+      new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve()))),
+    all: (sql, params = []) =>
+      new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))),
+    get: (sql, params = []) =>
+      new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))),
+  };
+}
+
+/**
+ * @param {string} file       database path
+ * @param {object} specs      { collections, documents, keyOf } from repositories.js
+ */
+export async function sqliteRepositories(file, { collections, documents, keyOf }) {
+  const db = query(await open(file));
+  await db.run("PRAGMA journal_mode = WAL");
+
+  let queue = Promise.resolve();
+  function transaction(work) {
+    const run = queue.then(async () => {
+      await db.run("BEGIN IMMEDIATE");
+      try {
+        await work();
+        await db.run("COMMIT");
+      } catch (err) {
+        await db.run("ROLLBACK");
+        throw err;
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  await db.run("CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)");
+
+  const repos = {};
+  for (const [table, spec] of Object.entries(collections)) {
+    const fields = Object.keys(spec.indexed);
+    const columns = fields.map((f) => `"${f}" ${spec.indexed[f]}`);
+    await db.run(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, ${[...columns, "data TEXT NOT NULL"].join(", ")})`);
+    for (const f of fields) {
+      await db.run(`CREATE INDEX IF NOT EXISTS ${table}_${f} ON ${table} ("${f}")`);
+    }
+
+    const columnList = ["key", ...fields.map((f) => `"${f}"`), "data"].join(", ");
+    const placeholders = ["?", ...fields.map(() => "?"), "?"].join(", ");
+    const updates = [...fields.map((f) => `"${f}" = excluded."${f}"`), "data = excluded.data"].join(", ");
+    const upsertSql = `INSERT INTO ${table} (${columnList}) VALUES (${placeholders}) ON CONFLICT(key) DO UPDATE SET ${updates}`;
+
+    const keyFor = (record) => keyOf(spec, record);
+    const writeRow = (record) =>
+      db.run(upsertSql, [keyFor(record), ...fields.map((f) => record[f] ?? null), JSON.stringify(record)]);
+    const parse = (rows) => rows.map((r) => JSON.parse(r.data));
+
+    // Only rows that changed are written; later duplicates of a key win.
+    // Call inside a transaction.
+    async function replaceAll(records) {
+      const existing = new Map((await db.all(`SELECT key, data FROM ${table}`)).map((r) => [r.key, r.data]));
+      const incoming = new Map(records.map((r) => [keyFor(r), r]));
+      for (const key of existing.keys()) {
+        if (!incoming.has(key)) await db.run(`DELETE FROM ${table} WHERE key = ?`, [key]);
+      }
+      for (const [key, record] of incoming) {
+        if (existing.get(key) !== JSON.stringify(record)) await writeRow(record);
+      }
+    }
+
+    repos[table] = {
+      async all() {
+        return parse(await db.all(`SELECT data FROM ${table} ORDER BY rowid`));
+      },
+
+      async find(where) {
+        const unknown = Object.keys(where).filter((f) => !fields.includes(f));
+        if (unknown.length) throw new Error(`${table}.find: ${unknown.join(", ")} not indexed`);
+        const clauses = Object.keys(where).map((f) => `"${f}" = ?`);
+        const params = Object.keys(where).map((f) =>
+          spec.indexed[f] === "INTEGER" ? Number(where[f]) : where[f]
+        );
+        const sql = `SELECT data FROM ${table}${clauses.length ? ` WHERE ${clauses.join(" AND ")}` : ""} ORDER BY rowid`;
+        return parse(await db.all(sql, params));
+      },
+
+      upsert(records) {
+        if (!records.length) return Promise.resolve();
+        return transaction(async () => {
+          for (const record of records) await writeRow(record);
+        });
+      },
+
+      remove(records) {
+        if (!records.length) return Promise.resolve();
+        return transaction(async () => {
+          for (const record of records) await db.run(`DELETE FROM ${table} WHERE key = ?`, [keyFor(record)]);
+        });
+      },
+
+      saveAll(records) {
+        return transaction(() => replaceAll(records));
+      },
+
+      update(mutate) {
+        let result;
+        return transaction(async () => {
+          const current = parse(await db.all(`SELECT data FROM ${table} ORDER BY rowid`));
+          const next = await mutate(current);
+          result = next === undefined ? current : next;
+          if (next !== undefined) await replaceAll(next);
+        }).then(() => result);
+      },
+    };
+  }
+
+  for (const name of Object.keys(documents)) {
+    let documentQueue = Promise.resolve();
+    const locked = (work) => {
+      const run = documentQueue.then(work);
+      documentQueue = run.catch(() => {});
+      return run;
+    };
+
+    const get = async () => {
+      const row = await db.get("SELECT data FROM documents WHERE name = ?", [name]);
+      return row ? JSON.parse(row.data) : null;
+    };
+    const write = (value) =>
+      transaction(() =>
+        db.run(
+          "INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data",
+          [name, JSON.stringify(value)]
+        )
+      );
+
+    repos[name] = {
+      get,
+      save: (value) => locked(() => write(value)),
+      update(mutate) {
+        return locked(async () => {
+          const current = await get();
+          const next = await mutate(current);
+          if (next === undefined) return current;
+          await write(next);
+          return next;
+        });
+      },
+    };
+  }
+
+  return repos;
+}
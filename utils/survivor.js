@@ -0,0 +1,149 @@
+// backend/utils/survivor.js
+/**
+ * Last-man-standing (survivor) game, per competition. Picks live in survivor.json:
+ *
+ * {
+ *   id, userId, competitionId, roundId, matchId,
+ *   team: "Leinster",            // must win for the user to survive
+ *   outcome: "pending" | "won" | "lost",
+ *   createdAt, settledAt
+ * }
+ *
+ * One pick per round, a team can only be used once per competition, and a
+ * loss or draw eliminates the user. Picks lock at kickoff. Outcomes are
+ * settled by the result pipeline (see resultPipeline.js).
+ */
+import { matchWinnerName, DRAW } from "./scoring.js";
+
+function started(match, now) {
+  return new Date(match.kickoff) <= now;
+}
+
+/**
+ * The user's first losing pick in a competition, or null if still alive.
+ */
+export function eliminationOf(picks, competitionId, userId) {
+  return (
+    picks
+      .filter((p) => p.competitionId === competitionId && p.userId === userId && p.outcome === "lost")
+      .sort((a, b) => new Date(a.settledAt) - new Date(b.settledAt))[0] || null
+  );
+}
+
+/**
+ * Check a pick before saving it. Returns { team } (canonical name) or { error }.
+ * An existing pick for the same round may be swapped until its match kicks off.
+ */
+export function validateSurvivorPick({ picks, matches, userId, competitionId, match, team, now = new Date() }) {
+  if (!match || match.competitionId !== competitionId) {
+    return { error: "Match not found in this competition" };
+  }
+  if (!match.roundId) return { error: "Match is not in a round yet" };
+  if (started(match, now) || match.result?.winner) return { error: "Match has kicked off" };
+
+  const name = matchWinnerName(team, match);
+  if (!name || name === DRAW) return { error: `Team must be ${match.teamA} or ${match.teamB}` };
+
+  if (eliminationOf(picks, competitionId, userId)) return { error: "You have been eliminated" };
+
+  const mine = picks.filter((p) => p.competitionId === competitionId && p.userId === userId);
+  const current = mine.find((p) => p.roundId === match.roundId);
+  if (current && current.outcome !== "pending") {
+    return { error: "Your pick for this round has already been settled" };
+  }
+  const currentMatch = current && matches.find((m) => m.id === current.matchId);
+  if (currentMatch && started(currentMatch, now)) {
+    return { error: "Your pick for this round has locked" };
+  }
+  if (mine.some((p) => p !== current && p.team === name)) {
+    return { error: `You have already used ${name}` };
+  }
+  return { team: name, current };
+}
+
+/**
+ * Work out the outcome of one pick from its match result.
+ */
+export function outcomeOf(pick, match) {
+  const winner = match?.result?.winner;
+  if (!winner) return "pending";
+  return matchWinnerName(winner, match) === pick.team ? "won" : "lost";
+}
+
+/**
+ * Settle picks on the given matches (all if matchIds is omitted). Mutates the
+ * picks and returns { changed, eliminated: [pick] } — eliminated holds the
+ * picks that just knocked their user out.
+ */
+export function settlePicks(picks, matches, matchIds = null, now = new Date()) {
+  const ids = matchIds ? new Set(matchIds.map(Number)) : null;
+  const matchById = new Map(matches.map((m) => [m.id, m]));
+  let changed = 0;
+  const eliminated = [];
+
+  for (const pick of picks) {
+    if (ids && !ids.has(pick.matchId)) continue;
+    const outcome = outcomeOf(pick, matchById.get(pick.matchId));
+    if (outcome === pick.outcome) continue;
+
+    pick.outcome = outcome;
+    pick.settledAt = outcome === "pending" ? null : now.toISOString();
+    changed++;
+    if (outcome === "lost") eliminated.push(pick);
+  }
+  return { changed, eliminated };
+}
+
+/**
+ * Survivors, eliminated players and pick history for a competition.
+ * Other players' picks stay hidden until their match kicks off (or is settled).
+ */
+export function survivorStatus({ picks, matches, users = [], competitionId, viewerId, now = new Date() }) {
+  const matchById = new Map(matches.map((m) => [m.id, m]));
+  const userById = new Map(users.map((u) => [u.id, u]));
+  const compPicks = picks.filter((p) => p.competitionId === competitionId);
+  const userIds = [...new Set(compPicks.map((p) => p.userId))];
+
+  const survivors = [];
+  const eliminated = [];
+
+  for (const userId of userIds) {
+    const u = userById.get(userId) || {};
+    const mine = compPicks.filter((p) => p.userId === userId);
+    const history = mine
+      .filter((p) => {
+        const m = matchById.get(p.matchId);
+        return userId === viewerId || p.outcome !== "pending" || !m || started(m, now);
+      })
+      .map((p) => {
+        const m = matchById.get(p.matchId) || {};
+        return {
+          roundId: p.roundId,
+          matchId: p.matchId,
+          team: p.team,
+          opponent: p.team === m.teamA ? m.teamB : m.teamA,
+          kickoff: m.kickoff || null,
+          outcome: p.outcome,
+        };
+      })
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff));
+
+    const out = eliminationOf(compPicks, competitionId, userId);
+    const row = {
+      userId,
+      firstname: u.firstname || "",
+      surname: u.surname || "",
+      picks: history,
+    };
+    if (out) {
+      eliminated.push({ ...row, eliminatedRoundId: out.roundId, eliminatedAt: out.settledAt });
+    } else {
+      survivors.push({ ...row, wins: mine.filter((p) => p.outcome === "won").length });
+    }
+  }
+
+  survivors.sort((a, b) => b.wins - a.wins);
+  // last out first — they lasted longest
+  eliminated.sort((a, b) => new Date(b.eliminatedAt) - new Date(a.eliminatedAt));
+  return { competitionId, survivors, eliminated };
+}